@@ -0,0 +1,53 @@
+-- Migration for account deletion (Art. 17 DSGVO)
+-- Submitted reports of deleted accounts are kept as case records, so reports.user_id becomes nullable
+
+USE ruo;
+
+-- Scheduled deletion (the user can cancel until delete_after)
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS deletion_requested_at TIMESTAMP NULL AFTER locked_until,
+ADD COLUMN IF NOT EXISTS delete_after TIMESTAMP NULL AFTER deletion_requested_at,
+ADD INDEX IF NOT EXISTS idx_delete_after (delete_after);
+
+-- Drop the old ON DELETE CASCADE foreign key on reports.user_id (its name was generated by MySQL)
+SET @old_fk := (
+  SELECT rc.CONSTRAINT_NAME
+  FROM information_schema.REFERENTIAL_CONSTRAINTS rc
+  JOIN information_schema.KEY_COLUMN_USAGE kcu
+    ON kcu.CONSTRAINT_SCHEMA = rc.CONSTRAINT_SCHEMA AND kcu.CONSTRAINT_NAME = rc.CONSTRAINT_NAME
+  WHERE rc.CONSTRAINT_SCHEMA = 'ruo'
+    AND rc.TABLE_NAME = 'reports'
+    AND rc.DELETE_RULE = 'CASCADE'
+    AND kcu.COLUMN_NAME = 'user_id'
+  LIMIT 1
+);
+
+SET @sql := IF(@old_fk IS NOT NULL,
+  CONCAT('ALTER TABLE reports DROP FOREIGN KEY ', @old_fk),
+  'SELECT "No cascading foreign key found" AS message'
+);
+
+PREPARE stmt FROM @sql;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
+
+ALTER TABLE reports MODIFY COLUMN user_id INT NULL;
+
+SET @fk_exists := (
+  SELECT COUNT(*)
+  FROM information_schema.TABLE_CONSTRAINTS
+  WHERE CONSTRAINT_SCHEMA = 'ruo'
+    AND TABLE_NAME = 'reports'
+    AND CONSTRAINT_NAME = 'fk_reports_user'
+);
+
+SET @sql := IF(@fk_exists = 0,
+  'ALTER TABLE reports ADD CONSTRAINT fk_reports_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL',
+  'SELECT "Foreign key already exists" AS message'
+);
+
+PREPARE stmt FROM @sql;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
+
+SELECT 'Migration completed successfully!' AS status;
@@ -0,0 +1,27 @@
+-- Migration for email verification, password reset and login lockout
+-- Existing accounts are treated as verified so nobody is locked out of submitting
+
+USE ruo;
+
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP NULL AFTER disabled_at,
+  ADD COLUMN IF NOT EXISTS password_changed_at TIMESTAMP NULL AFTER email_verified_at,
+  ADD COLUMN IF NOT EXISTS failed_login_count INT DEFAULT 0 AFTER password_changed_at,
+  ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP NULL AFTER failed_login_count;
+
+UPDATE users SET email_verified_at = created_at WHERE email_verified_at IS NULL;
+
+CREATE TABLE IF NOT EXISTS user_tokens (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  user_id INT NOT NULL,
+  type ENUM('verify_email', 'password_reset') NOT NULL,
+  token_hash CHAR(64) NOT NULL,
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  UNIQUE KEY uniq_token_hash (token_hash),
+  INDEX idx_user_type (user_id, type)
+) ENGINE=InnoDB;
+
+SELECT 'Migration completed successfully!' AS status;
@@ -0,0 +1,12 @@
+-- Migration for the public address search
+-- Notes are no longer published, so the public full-text search only covers the address
+
+USE ruo;
+
+ALTER TABLE reports
+ADD FULLTEXT INDEX IF NOT EXISTS ft_address (location_address);
+
+ALTER TABLE reports
+DROP INDEX IF EXISTS ft_notes_address;
+
+SELECT 'Migration completed successfully!' AS status;
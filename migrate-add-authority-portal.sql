@@ -0,0 +1,10 @@
+-- Migration for the authority portal (magic link per case in the mails to the authority)
+-- Status changes and decision letters from the portal are recorded with the authority as actor
+
+USE ruo;
+
+ALTER TABLE status_history
+ADD COLUMN IF NOT EXISTS actor_type ENUM('user', 'authority', 'system') DEFAULT 'user' AFTER changed_by_user_id,
+ADD COLUMN IF NOT EXISTS actor_name VARCHAR(255) NULL AFTER actor_type;
+
+SELECT 'Migration completed successfully!' AS status;
@@ -0,0 +1,16 @@
+-- Migration for authority replies
+-- Only inbound mails from an address the case was sent to count as the authority's answer
+
+USE ruo;
+
+ALTER TABLE email_logs
+ADD COLUMN IF NOT EXISTS from_authority BOOLEAN NOT NULL DEFAULT FALSE AFTER direction;
+
+-- Existing replies from a recipient of the report, escalation or reminder mails
+UPDATE email_logs i
+JOIN email_logs o ON o.report_id = i.report_id AND o.direction = 'outbound'
+  AND o.recipient_type IS NOT NULL AND LOWER(o.to_email) = LOWER(i.from_email)
+SET i.from_authority = TRUE
+WHERE i.direction = 'inbound';
+
+SELECT 'Migration completed successfully!' AS status;
@@ -0,0 +1,42 @@
+-- Migration for the camera entity
+-- Existing submitted reports get a camera each on the next server start
+
+USE ruo;
+
+CREATE TABLE IF NOT EXISTS cameras (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  location_lat DECIMAL(10, 8) NOT NULL,
+  location_lng DECIMAL(11, 8) NOT NULL,
+  location_address TEXT,
+  location_zip VARCHAR(10),
+  description TEXT,
+  owner_name VARCHAR(255),
+  created_by_user_id INT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (created_by_user_id) REFERENCES users(id) ON DELETE SET NULL,
+  INDEX idx_location (location_lat, location_lng)
+) ENGINE=InnoDB;
+
+ALTER TABLE reports
+ADD COLUMN IF NOT EXISTS camera_id INT NULL AFTER district_id,
+ADD INDEX IF NOT EXISTS idx_camera_id (camera_id);
+
+SET @fk_exists := (
+  SELECT COUNT(*)
+  FROM information_schema.TABLE_CONSTRAINTS
+  WHERE CONSTRAINT_SCHEMA = 'ruo'
+    AND TABLE_NAME = 'reports'
+    AND CONSTRAINT_NAME = 'fk_reports_camera'
+);
+
+SET @sql := IF(@fk_exists = 0,
+  'ALTER TABLE reports ADD CONSTRAINT fk_reports_camera FOREIGN KEY (camera_id) REFERENCES cameras(id) ON DELETE SET NULL',
+  'SELECT "Foreign key already exists" AS message'
+);
+
+PREPARE stmt FROM @sql;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
+
+SELECT 'Migration completed successfully!' AS status;
@@ -0,0 +1,22 @@
+-- Migration for response deadlines and reminder emails
+
+USE ruo;
+
+ALTER TABLE reports
+ADD COLUMN IF NOT EXISTS response_deadline TIMESTAMP NULL AFTER submitted_at,
+ADD COLUMN IF NOT EXISTS reminder_count INT DEFAULT 0 AFTER response_deadline,
+ADD COLUMN IF NOT EXISTS last_reminder_at TIMESTAMP NULL AFTER reminder_count,
+ADD INDEX IF NOT EXISTS idx_response_deadline (response_deadline);
+
+ALTER TABLE email_logs
+ADD COLUMN IF NOT EXISTS email_type VARCHAR(20) AFTER direction;
+
+-- Existing outbound mails are the original reports (or escalations)
+UPDATE email_logs SET email_type = IF(recipient_type = 'dpa', 'escalation', 'report')
+WHERE direction = 'outbound' AND email_type IS NULL;
+
+-- Deadline for reports that are already submitted (default: 4 weeks)
+UPDATE reports SET response_deadline = DATE_ADD(submitted_at, INTERVAL 28 DAY)
+WHERE submitted_at IS NOT NULL AND response_deadline IS NULL;
+
+SELECT 'Migration completed successfully!' AS status;
@@ -0,0 +1,22 @@
+-- Migration for the district directory
+-- One PLZ can map to several municipalities; admin entries (is_override) survive the weg.li re-sync
+
+USE ruo;
+
+ALTER TABLE districts
+ADD COLUMN IF NOT EXISTS source ENUM('wegli', 'manual', 'import') DEFAULT 'wegli' AFTER language,
+ADD COLUMN IF NOT EXISTS is_override BOOLEAN DEFAULT FALSE AFTER source,
+ADD COLUMN IF NOT EXISTS synced_at TIMESTAMP NULL AFTER is_override;
+
+-- zip was UNIQUE; now zip + name
+ALTER TABLE districts DROP INDEX IF EXISTS zip;
+ALTER TABLE districts ADD UNIQUE KEY IF NOT EXISTS uniq_zip_name (zip, name);
+
+-- The former hardcoded entry for 85764 is fetched from weg.li again on the next lookup
+UPDATE districts SET synced_at = NULL, is_override = FALSE, source = 'wegli'
+WHERE name = 'Oberschleißheim (Hardcoded)';
+
+-- Existing weg.li entries count as synced now and are refreshed after DISTRICT_CACHE_DAYS
+UPDATE districts SET synced_at = updated_at WHERE synced_at IS NULL AND name != 'Oberschleißheim (Hardcoded)';
+
+SELECT 'Migration completed successfully!' AS status;
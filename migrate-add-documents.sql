@@ -0,0 +1,12 @@
+-- Migration for the document API
+-- Files stay in uploads/<case_number>/documents/, which is not served statically
+
+USE ruo;
+
+ALTER TABLE documents
+ADD COLUMN IF NOT EXISTS mime_type VARCHAR(100) AFTER file_type,
+ADD COLUMN IF NOT EXISTS file_size INT AFTER mime_type;
+
+UPDATE documents SET mime_type = 'application/pdf' WHERE mime_type IS NULL AND file_type IN ('pdf', 'dossier');
+
+SELECT 'Migration completed successfully!' AS status;
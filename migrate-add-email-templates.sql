@@ -0,0 +1,24 @@
+-- Migration for editable email templates
+-- Default templates are created by the server on startup
+
+USE ruo;
+
+ALTER TABLE districts
+ADD COLUMN IF NOT EXISTS language ENUM('de', 'en') DEFAULT 'de' AFTER personal_email;
+
+CREATE TABLE IF NOT EXISTS email_templates (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  violation_type VARCHAR(255),
+  district_id INT,
+  language ENUM('de', 'en') DEFAULT 'de',
+  subject VARCHAR(500) NOT NULL,
+  body TEXT NOT NULL,
+  updated_by_user_id INT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (district_id) REFERENCES districts(id) ON DELETE CASCADE,
+  FOREIGN KEY (updated_by_user_id) REFERENCES users(id) ON DELETE SET NULL,
+  UNIQUE KEY uniq_template (violation_type, district_id, language)
+) ENGINE=InnoDB;
+
+SELECT 'Migration completed successfully!' AS status;
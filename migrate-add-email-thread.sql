@@ -0,0 +1,38 @@
+-- Migration for the correspondence thread
+-- Outbound mails are now logged with their real recipient, rendered body, Message-ID and attachments
+
+USE ruo;
+
+ALTER TABLE email_logs
+MODIFY COLUMN body MEDIUMTEXT,
+ADD COLUMN IF NOT EXISTS in_reply_to VARCHAR(255) AFTER message_id,
+ADD COLUMN IF NOT EXISTS attachments JSON AFTER in_reply_to,
+ADD COLUMN IF NOT EXISTS sent_by_user_id INT NULL AFTER attachments;
+
+SET @fk_exists := (
+  SELECT COUNT(*)
+  FROM information_schema.TABLE_CONSTRAINTS
+  WHERE CONSTRAINT_SCHEMA = 'ruo'
+    AND TABLE_NAME = 'email_logs'
+    AND CONSTRAINT_NAME = 'fk_email_logs_sent_by'
+);
+
+SET @sql := IF(@fk_exists = 0,
+  'ALTER TABLE email_logs ADD CONSTRAINT fk_email_logs_sent_by FOREIGN KEY (sent_by_user_id) REFERENCES users(id) ON DELETE SET NULL',
+  'SELECT "Foreign key already exists" AS message'
+);
+
+PREPARE stmt FROM @sql;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
+
+-- Older report mails were logged with a placeholder recipient; use the district address instead
+UPDATE email_logs e
+JOIN reports r ON e.report_id = r.id
+JOIN districts d ON r.district_id = d.id
+SET e.to_email = d.email
+WHERE e.direction = 'outbound'
+  AND e.to_email = 'ordnungsamt@example.com'
+  AND d.email IS NOT NULL;
+
+SELECT 'Migration completed successfully!' AS status;
@@ -0,0 +1,21 @@
+-- Migration for escalation to the state data protection authority
+-- Existing reports get their Bundesland on the next location update or via PUT /api/reports/:id/state
+
+USE ruo;
+
+ALTER TABLE reports
+ADD COLUMN IF NOT EXISTS location_state VARCHAR(5) AFTER location_zip,
+ADD COLUMN IF NOT EXISTS escalated_at TIMESTAMP NULL AFTER submitted_at;
+
+ALTER TABLE email_logs
+ADD COLUMN IF NOT EXISTS recipient_type ENUM('district', 'dpa') NULL AFTER direction;
+
+-- Existing outbound mails all went to the Ordnungsamt
+UPDATE email_logs SET recipient_type = 'district' WHERE direction = 'outbound' AND recipient_type IS NULL;
+
+ALTER TABLE email_templates
+ADD COLUMN IF NOT EXISTS recipient_type ENUM('district', 'dpa') DEFAULT 'district' AFTER id,
+DROP INDEX IF EXISTS uniq_template,
+ADD UNIQUE KEY uniq_template (recipient_type, violation_type, district_id, language);
+
+SELECT 'Migration completed successfully!' AS status;
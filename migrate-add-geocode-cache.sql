@@ -0,0 +1,18 @@
+-- Migration for the geocoding cache
+-- Reverse geocoding results are cached per rounded coordinate (GEOCODE_CACHE_DAYS)
+
+USE ruo;
+
+CREATE TABLE IF NOT EXISTS geocode_cache (
+  lat_key DECIMAL(7, 4) NOT NULL,
+  lng_key DECIMAL(8, 4) NOT NULL,
+  provider VARCHAR(20),
+  address TEXT,
+  zip VARCHAR(10),
+  city VARCHAR(255),
+  state CHAR(2),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (lat_key, lng_key)
+) ENGINE=InnoDB;
+
+SELECT 'Migration completed successfully!' AS status;
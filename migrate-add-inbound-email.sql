@@ -0,0 +1,12 @@
+-- Migration for inbound IMAP ingestion
+-- Adds message_id to email_logs so polled messages are only stored once
+
+USE ruo;
+
+ALTER TABLE email_logs
+ADD COLUMN IF NOT EXISTS message_id VARCHAR(255) AFTER body;
+
+ALTER TABLE email_logs
+ADD INDEX IF NOT EXISTS idx_message_id (message_id);
+
+SELECT 'Migration completed successfully!' AS status;
@@ -0,0 +1,70 @@
+-- Migration for integrations: personal API tokens and outgoing webhooks with delivery log
+-- Nothing changes for existing data; tokens and webhooks are created under "Mein Konto" → Integrationen
+
+USE ruo;
+
+-- Personal API tokens for integrations (only the SHA-256 hash is stored)
+CREATE TABLE IF NOT EXISTS api_tokens (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  user_id INT NOT NULL,
+  name VARCHAR(100) NOT NULL,
+  token_hash CHAR(64) NOT NULL UNIQUE,
+  token_hint VARCHAR(20) NOT NULL,
+  scopes VARCHAR(255) NOT NULL,
+  expires_at TIMESTAMP NULL,
+  last_used_at TIMESTAMP NULL,
+  revoked_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  INDEX idx_user (user_id)
+) ENGINE=InnoDB;
+
+-- Outgoing webhooks: signed JSON events for a user's reports, or all reports (admins)
+CREATE TABLE IF NOT EXISTS webhooks (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  user_id INT NOT NULL,
+  url VARCHAR(2000) NOT NULL,
+  secret CHAR(64) NOT NULL,
+  events VARCHAR(255) NOT NULL,
+  all_reports BOOLEAN DEFAULT FALSE,
+  active BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  INDEX idx_active (active)
+) ENGINE=InnoDB;
+
+-- Queued webhook events, retried with backoff
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  webhook_id INT NOT NULL,
+  event VARCHAR(50) NOT NULL,
+  event_id CHAR(36) NOT NULL,
+  payload MEDIUMTEXT NOT NULL,
+  status ENUM('pending', 'sending', 'delivered', 'failed') DEFAULT 'pending',
+  attempts INT DEFAULT 0,
+  last_status INT NULL,
+  last_error TEXT,
+  next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  delivered_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (webhook_id) REFERENCES webhooks(id) ON DELETE CASCADE,
+  INDEX idx_status_next (status, next_attempt_at),
+  INDEX idx_webhook_created (webhook_id, created_at)
+) ENGINE=InnoDB;
+
+-- Every delivery attempt with the receiver's response
+CREATE TABLE IF NOT EXISTS webhook_attempts (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  delivery_id INT NOT NULL,
+  attempt INT NOT NULL,
+  response_status INT NULL,
+  response_body TEXT,
+  error TEXT,
+  duration_ms INT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (delivery_id) REFERENCES webhook_deliveries(id) ON DELETE CASCADE,
+  INDEX idx_delivery (delivery_id)
+) ENGINE=InnoDB;
+
+SELECT 'Migration completed successfully!' AS status;
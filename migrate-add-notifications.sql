@@ -0,0 +1,29 @@
+-- Migration for reporter notifications (status changes, authority replies, upcoming deadlines)
+-- Existing users get notifications by mail right away; they can switch to a daily digest or off in their account
+
+USE ruo;
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS notification_email ENUM('immediate', 'daily', 'off') DEFAULT 'immediate' AFTER public_id,
+ADD COLUMN IF NOT EXISTS last_digest_at TIMESTAMP NULL AFTER notification_email;
+
+-- Response deadline the reporter was last warned about
+ALTER TABLE reports
+ADD COLUMN IF NOT EXISTS deadline_notified_for TIMESTAMP NULL AFTER escalated_at;
+
+CREATE TABLE IF NOT EXISTS notifications (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  user_id INT NOT NULL,
+  report_id INT NULL,
+  type VARCHAR(30) NOT NULL,
+  title VARCHAR(255) NOT NULL,
+  body TEXT,
+  read_at TIMESTAMP NULL,
+  emailed_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (report_id) REFERENCES reports(id) ON DELETE CASCADE,
+  INDEX idx_user_read (user_id, read_at)
+) ENGINE=InnoDB;
+
+SELECT 'Migration completed successfully!' AS status;
@@ -0,0 +1,33 @@
+-- Migration for the outgoing mail queue
+-- Mails are no longer sent inside the request; the outbox worker sends and retries them
+
+USE ruo;
+
+CREATE TABLE IF NOT EXISTS email_outbox (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  report_id INT,
+  email_type VARCHAR(20),
+  recipient_type ENUM('district', 'dpa') NULL,
+  log_to_thread BOOLEAN DEFAULT TRUE,
+  from_email VARCHAR(255) NOT NULL,
+  to_email VARCHAR(255) NOT NULL,
+  reply_to VARCHAR(255),
+  subject TEXT,
+  body MEDIUMTEXT,
+  message_id VARCHAR(255) NOT NULL,
+  in_reply_to VARCHAR(255),
+  attachments JSON,
+  created_by_user_id INT,
+  status ENUM('pending', 'sending', 'sent', 'failed') DEFAULT 'pending',
+  attempts INT DEFAULT 0,
+  last_error TEXT,
+  next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  sent_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (report_id) REFERENCES reports(id) ON DELETE CASCADE,
+  FOREIGN KEY (created_by_user_id) REFERENCES users(id) ON DELETE SET NULL,
+  INDEX idx_status_next_attempt (status, next_attempt_at),
+  INDEX idx_report_id (report_id)
+) ENGINE=InnoDB;
+
+SELECT 'Migration completed successfully!' AS status;
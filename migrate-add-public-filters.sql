@@ -0,0 +1,14 @@
+-- Migration for the public listing filters
+-- Indexes for PLZ, date range and bounding-box queries plus full-text search over notes and address
+
+USE ruo;
+
+ALTER TABLE reports
+ADD INDEX IF NOT EXISTS idx_location (location_lat, location_lng),
+ADD INDEX IF NOT EXISTS idx_zip (location_zip),
+ADD INDEX IF NOT EXISTS idx_submitted_at (submitted_at);
+
+ALTER TABLE reports
+ADD FULLTEXT INDEX IF NOT EXISTS ft_notes_address (notes, location_address);
+
+SELECT 'Migration completed successfully!' AS status;
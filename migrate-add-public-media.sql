@@ -0,0 +1,9 @@
+-- Migration for metadata-free public media
+-- Adds the path of the stripped copy; copies for existing photos are created on server start
+
+USE ruo;
+
+ALTER TABLE photos
+ADD COLUMN IF NOT EXISTS public_filepath VARCHAR(500) AFTER filepath;
+
+SELECT 'Migration completed successfully!' AS status;
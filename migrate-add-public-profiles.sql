@@ -0,0 +1,13 @@
+-- Migration for pseudonyms and public profiles
+-- Public pages no longer show the account name or e-mail; only a pseudonym the reporter sets themselves
+
+USE ruo;
+
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS display_name VARCHAR(50) NULL AFTER name,
+  ADD COLUMN IF NOT EXISTS public_profile BOOLEAN DEFAULT FALSE AFTER display_name,
+  ADD COLUMN IF NOT EXISTS public_id CHAR(16) NULL AFTER public_profile,
+  ADD UNIQUE INDEX IF NOT EXISTS uniq_display_name (display_name),
+  ADD UNIQUE INDEX IF NOT EXISTS uniq_public_id (public_id);
+
+SELECT 'Migration completed successfully!' AS status;
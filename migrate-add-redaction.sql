@@ -0,0 +1,14 @@
+-- Migration for face/licence plate redaction
+-- Stores automatically detected and manually drawn blur regions per photo
+
+USE ruo;
+
+ALTER TABLE photos
+ADD COLUMN IF NOT EXISTS auto_blur_regions JSON AFTER public_filepath,
+ADD COLUMN IF NOT EXISTS manual_blur_regions JSON AFTER auto_blur_regions;
+
+-- Re-create the public copies so existing photos get blurred as well
+-- (also re-runs detection for copies made while a cascade was missing)
+UPDATE photos SET public_filepath = NULL, auto_blur_regions = NULL WHERE media_type = 'photo';
+
+SELECT 'Migration completed successfully!' AS status;
@@ -0,0 +1,31 @@
+-- Migration for role-based accounts and moderation
+-- Adds user roles, account disabling, hidden reports and duplicate merging
+
+USE ruo;
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS role ENUM('reporter', 'moderator', 'admin') DEFAULT 'reporter' AFTER name,
+ADD COLUMN IF NOT EXISTS disabled_at TIMESTAMP NULL AFTER role;
+
+ALTER TABLE reports
+ADD COLUMN IF NOT EXISTS is_hidden BOOLEAN DEFAULT FALSE AFTER hide_username,
+ADD COLUMN IF NOT EXISTS duplicate_of_id INT NULL AFTER is_hidden;
+
+SET @fk_exists := (
+  SELECT COUNT(*)
+  FROM information_schema.TABLE_CONSTRAINTS
+  WHERE CONSTRAINT_SCHEMA = 'ruo'
+    AND TABLE_NAME = 'reports'
+    AND CONSTRAINT_NAME = 'fk_reports_duplicate_of'
+);
+
+SET @sql := IF(@fk_exists = 0,
+  'ALTER TABLE reports ADD CONSTRAINT fk_reports_duplicate_of FOREIGN KEY (duplicate_of_id) REFERENCES reports(id) ON DELETE SET NULL',
+  'SELECT "Foreign key already exists" AS message'
+);
+
+PREPARE stmt FROM @sql;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
+
+SELECT 'Migration completed successfully!' AS status;
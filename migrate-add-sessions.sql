@@ -0,0 +1,25 @@
+-- Migration for refresh tokens and device sessions
+-- Access tokens without a session id are rejected afterwards: everybody has to log in once again
+
+USE ruo;
+
+-- Login sessions (one per device); access tokens carry the session id, the refresh token is rotated on use
+CREATE TABLE IF NOT EXISTS sessions (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  user_id INT NOT NULL,
+  refresh_token_hash CHAR(64) NOT NULL,
+  previous_token_hash CHAR(64) NULL,
+  user_agent VARCHAR(255),
+  ip_address VARCHAR(45),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  last_used_at TIMESTAMP NULL,
+  rotated_at TIMESTAMP NULL,
+  expires_at TIMESTAMP NOT NULL,
+  revoked_at TIMESTAMP NULL,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  UNIQUE KEY uniq_refresh_token_hash (refresh_token_hash),
+  INDEX idx_previous_token_hash (previous_token_hash),
+  INDEX idx_user_id (user_id)
+) ENGINE=InnoDB;
+
+SELECT 'Migration completed successfully!' AS status;
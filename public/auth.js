@@ -0,0 +1,72 @@
+// Session handling for the logged-in pages.
+// Access tokens expire after a few minutes: a 401 from the API triggers one refresh with the
+// stored refresh token, then the request is repeated with the new access token.
+(function () {
+    const API = 'http://localhost:3000/api';
+    const originalFetch = window.fetch.bind(window);
+    let refreshing = null;
+
+    // Parallel requests share one refresh (every refresh token can only be used once)
+    function refreshSession() {
+        if (!refreshing) {
+            const refreshToken = localStorage.getItem('refreshToken');
+            refreshing = originalFetch(`${API}/token/refresh`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ refreshToken })
+            })
+                .then(async res => {
+                    if (!res.ok) {
+                        // Another tab may have refreshed in the meantime
+                        return localStorage.getItem('refreshToken') !== refreshToken;
+                    }
+                    const data = await res.json();
+                    localStorage.setItem('token', data.token);
+                    localStorage.setItem('refreshToken', data.refreshToken);
+                    return true;
+                })
+                .catch(() => false)
+                .finally(() => { refreshing = null; });
+        }
+        return refreshing;
+    }
+
+    // Pages read the token once on load; always send the latest one
+    function withCurrentToken(init) {
+        const headers = new Headers(init?.headers);
+        if (!headers.has('Authorization')) return null;
+        headers.set('Authorization', `Bearer ${localStorage.getItem('token')}`);
+        return { ...init, headers };
+    }
+
+    window.fetch = async (input, init) => {
+        const authInit = withCurrentToken(init);
+        if (!authInit) return originalFetch(input, init);
+
+        const res = await originalFetch(input, authInit);
+        if (res.status !== 401 || !localStorage.getItem('refreshToken')) return res;
+
+        if (!(await refreshSession())) return res;
+        return originalFetch(input, withCurrentToken(init));
+    };
+
+    // Ends the session on the server as well, so the refresh token becomes useless
+    window.endSession = async () => {
+        const refreshToken = localStorage.getItem('refreshToken');
+
+        if (refreshToken) {
+            try {
+                await originalFetch(`${API}/logout`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ refreshToken })
+                });
+            } catch (error) {
+                console.error('Logout error:', error);
+            }
+        }
+
+        localStorage.clear();
+        window.location.href = '/';
+    };
+})();
@@ -0,0 +1,90 @@
+// Face/licence plate detection for server.js (see detectSensitiveRegions there).
+// opencv-wasm's detectMultiScale is synchronous and takes seconds per photo, so it runs in this
+// worker thread instead of on the server's event loop. One job at a time: { id, imagePath } in,
+// { id, regions } or { id, error } out
+const { parentPort, workerData } = require('worker_threads');
+const fs = require('fs').promises;
+const path = require('path');
+const sharp = require('sharp');
+
+const { cascadeDir, cascades, maxDetectionSize } = workerData;
+let openCvPromise = null;
+
+function loadOpenCv() {
+  if (!openCvPromise) {
+    openCvPromise = (async () => {
+      const { cv } = require('opencv-wasm');
+      const classifiers = {};
+      const missing = [];
+
+      for (const [type, file] of Object.entries(cascades)) {
+        const cascadePath = path.join(cascadeDir, file);
+        try {
+          const data = await fs.readFile(cascadePath);
+          cv.FS_createDataFile('/', file, data, true, false, false);
+          const classifier = new cv.CascadeClassifier();
+          classifier.load(file);
+          classifiers[type] = classifier;
+          console.log(`✅ Redaction detector loaded: ${type} (${file})`);
+        } catch (error) {
+          missing.push(cascadePath);
+          console.error(`❌ Cascade ${cascadePath} not available: photos get no public copy until it is installed`);
+        }
+      }
+
+      return { cv, classifiers, missing };
+    })();
+  }
+  return openCvPromise;
+}
+
+async function detect(imagePath) {
+  const { cv, classifiers, missing } = await loadOpenCv();
+  if (missing.length > 0) {
+    throw new Error(`Cascade missing: ${missing.join(', ')}`);
+  }
+
+  const { data, info } = await sharp(imagePath)
+    .rotate()
+    .resize({ width: maxDetectionSize, height: maxDetectionSize, fit: 'inside', withoutEnlargement: true })
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const src = cv.matFromImageData({ data, width: info.width, height: info.height });
+  const gray = new cv.Mat();
+  cv.cvtColor(src, gray, cv.COLOR_RGBA2GRAY);
+  cv.equalizeHist(gray, gray);
+
+  const regions = [];
+  try {
+    for (const [type, classifier] of Object.entries(classifiers)) {
+      const found = new cv.RectVector();
+      classifier.detectMultiScale(gray, found, 1.1, 4, 0, new cv.Size(20, 20), new cv.Size(0, 0));
+      for (let i = 0; i < found.size(); i++) {
+        const rect = found.get(i);
+        regions.push({
+          type,
+          x: rect.x / info.width,
+          y: rect.y / info.height,
+          width: rect.width / info.width,
+          height: rect.height / info.height
+        });
+      }
+      found.delete();
+    }
+  } finally {
+    src.delete();
+    gray.delete();
+  }
+
+  return regions;
+}
+
+parentPort.on('message', async ({ id, imagePath }) => {
+  try {
+    parentPort.postMessage({ id, regions: await detect(imagePath) });
+  } catch (error) {
+    parentPort.postMessage({ id, error: error.message || String(error) });
+  }
+});
@@ -7,50 +7,141 @@ CREATE TABLE IF NOT EXISTS users (
   email VARCHAR(255) UNIQUE NOT NULL,
   password_hash VARCHAR(255) NOT NULL,
   name VARCHAR(255),
+  -- Public pseudonym (the only reporter data shown on public pages) and opt-in profile
+  display_name VARCHAR(50) NULL,
+  public_profile BOOLEAN DEFAULT FALSE,
+  public_id CHAR(16) NULL,
+  -- Notifications by mail: right away, as daily digest or not at all (always listed in the app)
+  notification_email ENUM('immediate', 'daily', 'off') DEFAULT 'immediate',
+  last_digest_at TIMESTAMP NULL,
+  role ENUM('reporter', 'moderator', 'admin') DEFAULT 'reporter',
+  disabled_at TIMESTAMP NULL,
+  email_verified_at TIMESTAMP NULL,
+  password_changed_at TIMESTAMP NULL,
+  failed_login_count INT DEFAULT 0,
+  locked_until TIMESTAMP NULL,
+  -- Scheduled account deletion (cancellable until delete_after)
+  deletion_requested_at TIMESTAMP NULL,
+  delete_after TIMESTAMP NULL,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-  INDEX idx_email (email)
+  INDEX idx_email (email),
+  UNIQUE KEY uniq_display_name (display_name),
+  UNIQUE KEY uniq_public_id (public_id),
+  INDEX idx_delete_after (delete_after)
 ) ENGINE=InnoDB;
 
--- Districts table (for caching weg.li district information)
+-- One-time links for email verification and password reset (only the SHA-256 is stored)
+CREATE TABLE IF NOT EXISTS user_tokens (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  user_id INT NOT NULL,
+  type ENUM('verify_email', 'password_reset') NOT NULL,
+  token_hash CHAR(64) NOT NULL,
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  UNIQUE KEY uniq_token_hash (token_hash),
+  INDEX idx_user_type (user_id, type)
+) ENGINE=InnoDB;
+
+-- Login sessions (one per device); access tokens carry the session id, the refresh token is rotated on use
+CREATE TABLE IF NOT EXISTS sessions (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  user_id INT NOT NULL,
+  refresh_token_hash CHAR(64) NOT NULL,
+  previous_token_hash CHAR(64) NULL,
+  user_agent VARCHAR(255),
+  ip_address VARCHAR(45),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  last_used_at TIMESTAMP NULL,
+  rotated_at TIMESTAMP NULL,
+  expires_at TIMESTAMP NOT NULL,
+  revoked_at TIMESTAMP NULL,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  UNIQUE KEY uniq_refresh_token_hash (refresh_token_hash),
+  INDEX idx_previous_token_hash (previous_token_hash),
+  INDEX idx_user_id (user_id)
+) ENGINE=InnoDB;
+
+-- Districts table (directory: weg.li cache plus admin-maintained entries)
 CREATE TABLE IF NOT EXISTS districts (
   id INT PRIMARY KEY AUTO_INCREMENT,
   name VARCHAR(255) NOT NULL,
-  zip VARCHAR(10) UNIQUE NOT NULL,
+  zip VARCHAR(10) NOT NULL,
   email VARCHAR(255),
   latitude DECIMAL(10, 8),
   longitude DECIMAL(11, 8),
   personal_email BOOLEAN DEFAULT FALSE,
+  language ENUM('de', 'en') DEFAULT 'de',
+  source ENUM('wegli', 'manual', 'import') DEFAULT 'wegli',
+  is_override BOOLEAN DEFAULT FALSE,
+  synced_at TIMESTAMP NULL,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uniq_zip_name (zip, name),
   INDEX idx_zip (zip)
 ) ENGINE=InnoDB;
 
+-- Cameras table (one installation, possibly reported several times)
+CREATE TABLE IF NOT EXISTS cameras (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  location_lat DECIMAL(10, 8) NOT NULL,
+  location_lng DECIMAL(11, 8) NOT NULL,
+  location_address TEXT,
+  location_zip VARCHAR(10),
+  description TEXT,
+  owner_name VARCHAR(255),
+  created_by_user_id INT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (created_by_user_id) REFERENCES users(id) ON DELETE SET NULL,
+  INDEX idx_location (location_lat, location_lng)
+) ENGINE=InnoDB;
+
 -- Reports table
 CREATE TABLE IF NOT EXISTS reports (
   id INT PRIMARY KEY AUTO_INCREMENT,
   case_number VARCHAR(50) UNIQUE NOT NULL,
-  user_id INT NOT NULL,
+  -- NULL once the reporter deleted the account (submitted reports stay as case records)
+  user_id INT NULL,
   district_id INT,
+  camera_id INT NULL,
   status ENUM('draft', 'submitted', 'in_progress', 'completed', 'rejected') DEFAULT 'draft',
   violation_type VARCHAR(255),
   notes TEXT,
   location_address TEXT,
   location_zip VARCHAR(10),
+  location_state VARCHAR(5),
   location_lat DECIMAL(10, 8),
   location_lng DECIMAL(11, 8),
   is_public BOOLEAN DEFAULT TRUE,
   hide_username BOOLEAN DEFAULT FALSE,
+  is_hidden BOOLEAN DEFAULT FALSE,
+  duplicate_of_id INT NULL,
   submitted_at TIMESTAMP NULL,
+  response_deadline TIMESTAMP NULL,
+  reminder_count INT DEFAULT 0,
+  last_reminder_at TIMESTAMP NULL,
+  escalated_at TIMESTAMP NULL,
+  -- Response deadline the reporter was last warned about
+  deadline_notified_for TIMESTAMP NULL,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  CONSTRAINT fk_reports_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
   FOREIGN KEY (district_id) REFERENCES districts(id) ON DELETE SET NULL,
+  FOREIGN KEY (duplicate_of_id) REFERENCES reports(id) ON DELETE SET NULL,
+  FOREIGN KEY (camera_id) REFERENCES cameras(id) ON DELETE SET NULL,
   INDEX idx_user_id (user_id),
   INDEX idx_case_number (case_number),
   INDEX idx_status (status),
+  INDEX idx_response_deadline (response_deadline),
   INDEX idx_district_id (district_id),
-  INDEX idx_location (location_lat, location_lng)
+  INDEX idx_camera_id (camera_id),
+  INDEX idx_location (location_lat, location_lng),
+  INDEX idx_zip (location_zip),
+  INDEX idx_submitted_at (submitted_at),
+  FULLTEXT INDEX ft_address (location_address)
 ) ENGINE=InnoDB;
 
 -- Photos table
@@ -59,6 +150,9 @@ CREATE TABLE IF NOT EXISTS photos (
   report_id INT NOT NULL,
   filename VARCHAR(255) NOT NULL,
   filepath VARCHAR(500) NOT NULL,
+  public_filepath VARCHAR(500),
+  auto_blur_regions JSON,
+  manual_blur_regions JSON,
   mime_type VARCHAR(100),
   media_type ENUM('photo', 'video') DEFAULT 'photo',
   file_size INT,
@@ -77,6 +171,8 @@ CREATE TABLE IF NOT EXISTS documents (
   filename VARCHAR(255) NOT NULL,
   filepath VARCHAR(500) NOT NULL,
   file_type VARCHAR(50),
+  mime_type VARCHAR(100),
+  file_size INT,
   uploaded_by_user BOOLEAN DEFAULT TRUE,
   notes TEXT,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
@@ -89,15 +185,65 @@ CREATE TABLE IF NOT EXISTS email_logs (
   id INT PRIMARY KEY AUTO_INCREMENT,
   report_id INT NOT NULL,
   direction ENUM('outbound', 'inbound') NOT NULL,
+  from_authority BOOLEAN NOT NULL DEFAULT FALSE,
+  email_type VARCHAR(20),
+  recipient_type ENUM('district', 'dpa') NULL,
   from_email VARCHAR(255),
   to_email VARCHAR(255),
   subject TEXT,
-  body TEXT,
+  body MEDIUMTEXT,
+  message_id VARCHAR(255),
+  in_reply_to VARCHAR(255),
+  attachments JSON,
+  sent_by_user_id INT,
   sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   FOREIGN KEY (report_id) REFERENCES reports(id) ON DELETE CASCADE,
+  FOREIGN KEY (sent_by_user_id) REFERENCES users(id) ON DELETE SET NULL,
+  INDEX idx_report_id (report_id),
+  INDEX idx_message_id (message_id)
+) ENGINE=InnoDB;
+
+-- Outgoing mail queue (sent by the outbox worker, retried with backoff)
+CREATE TABLE IF NOT EXISTS email_outbox (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  report_id INT,
+  email_type VARCHAR(20),
+  recipient_type ENUM('district', 'dpa') NULL,
+  log_to_thread BOOLEAN DEFAULT TRUE,
+  from_email VARCHAR(255) NOT NULL,
+  to_email VARCHAR(255) NOT NULL,
+  reply_to VARCHAR(255),
+  subject TEXT,
+  body MEDIUMTEXT,
+  message_id VARCHAR(255) NOT NULL,
+  in_reply_to VARCHAR(255),
+  attachments JSON,
+  created_by_user_id INT,
+  status ENUM('pending', 'sending', 'sent', 'failed') DEFAULT 'pending',
+  attempts INT DEFAULT 0,
+  last_error TEXT,
+  next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  sent_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (report_id) REFERENCES reports(id) ON DELETE CASCADE,
+  FOREIGN KEY (created_by_user_id) REFERENCES users(id) ON DELETE SET NULL,
+  INDEX idx_status_next_attempt (status, next_attempt_at),
   INDEX idx_report_id (report_id)
 ) ENGINE=InnoDB;
 
+-- Reverse geocoding cache (coordinates rounded to 4 decimals, ~11 m)
+CREATE TABLE IF NOT EXISTS geocode_cache (
+  lat_key DECIMAL(7, 4) NOT NULL,
+  lng_key DECIMAL(8, 4) NOT NULL,
+  provider VARCHAR(20),
+  address TEXT,
+  zip VARCHAR(10),
+  city VARCHAR(255),
+  state CHAR(2),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (lat_key, lng_key)
+) ENGINE=InnoDB;
+
 -- Status history table
 CREATE TABLE IF NOT EXISTS status_history (
   id INT PRIMARY KEY AUTO_INCREMENT,
@@ -105,9 +251,109 @@ CREATE TABLE IF NOT EXISTS status_history (
   old_status VARCHAR(50),
   new_status VARCHAR(50) NOT NULL,
   changed_by_user_id INT,
+  -- Who made the change: a user, the authority via its portal link (actor_name = authority) or the system
+  actor_type ENUM('user', 'authority', 'system') DEFAULT 'user',
+  actor_name VARCHAR(255) NULL,
   notes TEXT,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   FOREIGN KEY (report_id) REFERENCES reports(id) ON DELETE CASCADE,
   FOREIGN KEY (changed_by_user_id) REFERENCES users(id) ON DELETE SET NULL,
   INDEX idx_report_id (report_id)
 ) ENGINE=InnoDB;
+
+-- Email templates (per recipient and violation type, optionally overridden per district)
+CREATE TABLE IF NOT EXISTS email_templates (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  recipient_type ENUM('district', 'dpa') DEFAULT 'district',
+  violation_type VARCHAR(255),
+  district_id INT,
+  language ENUM('de', 'en') DEFAULT 'de',
+  subject VARCHAR(500) NOT NULL,
+  body TEXT NOT NULL,
+  updated_by_user_id INT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (district_id) REFERENCES districts(id) ON DELETE CASCADE,
+  FOREIGN KEY (updated_by_user_id) REFERENCES users(id) ON DELETE SET NULL,
+  UNIQUE KEY uniq_template (recipient_type, violation_type, district_id, language)
+) ENGINE=InnoDB;
+
+-- Notifications for reporters (status changes, authority replies, deadlines)
+CREATE TABLE IF NOT EXISTS notifications (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  user_id INT NOT NULL,
+  report_id INT NULL,
+  type VARCHAR(30) NOT NULL,
+  title VARCHAR(255) NOT NULL,
+  body TEXT,
+  read_at TIMESTAMP NULL,
+  emailed_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (report_id) REFERENCES reports(id) ON DELETE CASCADE,
+  INDEX idx_user_read (user_id, read_at)
+) ENGINE=InnoDB;
+
+-- Personal API tokens for integrations (only the SHA-256 hash is stored)
+CREATE TABLE IF NOT EXISTS api_tokens (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  user_id INT NOT NULL,
+  name VARCHAR(100) NOT NULL,
+  token_hash CHAR(64) NOT NULL UNIQUE,
+  token_hint VARCHAR(20) NOT NULL,
+  scopes VARCHAR(255) NOT NULL,
+  expires_at TIMESTAMP NULL,
+  last_used_at TIMESTAMP NULL,
+  revoked_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  INDEX idx_user (user_id)
+) ENGINE=InnoDB;
+
+-- Outgoing webhooks: signed JSON events for a user's reports, or all reports (admins)
+CREATE TABLE IF NOT EXISTS webhooks (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  user_id INT NOT NULL,
+  url VARCHAR(2000) NOT NULL,
+  secret CHAR(64) NOT NULL,
+  events VARCHAR(255) NOT NULL,
+  all_reports BOOLEAN DEFAULT FALSE,
+  active BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  INDEX idx_active (active)
+) ENGINE=InnoDB;
+
+-- Queued webhook events, retried with backoff
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  webhook_id INT NOT NULL,
+  event VARCHAR(50) NOT NULL,
+  event_id CHAR(36) NOT NULL,
+  payload MEDIUMTEXT NOT NULL,
+  status ENUM('pending', 'sending', 'delivered', 'failed') DEFAULT 'pending',
+  attempts INT DEFAULT 0,
+  last_status INT NULL,
+  last_error TEXT,
+  next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  delivered_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (webhook_id) REFERENCES webhooks(id) ON DELETE CASCADE,
+  INDEX idx_status_next (status, next_attempt_at),
+  INDEX idx_webhook_created (webhook_id, created_at)
+) ENGINE=InnoDB;
+
+-- Every delivery attempt with the receiver's response
+CREATE TABLE IF NOT EXISTS webhook_attempts (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  delivery_id INT NOT NULL,
+  attempt INT NOT NULL,
+  response_status INT NULL,
+  response_body TEXT,
+  error TEXT,
+  duration_ms INT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (delivery_id) REFERENCES webhook_deliveries(id) ON DELETE CASCADE,
+  INDEX idx_delivery (delivery_id)
+) ENGINE=InnoDB;
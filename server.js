@@ -7,12 +7,43 @@ const axios = require('axios');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const cors = require('cors');
+const { ImapFlow } = require('imapflow');
+const { simpleParser } = require('mailparser');
+const sharp = require('sharp');
+const PDFDocument = require('pdfkit');
+const crypto = require('crypto');
+const archiver = require('archiver');
+const { execFile } = require('child_process');
+const { Worker } = require('worker_threads');
+const dns = require('dns').promises;
+const net = require('net');
+const http = require('http');
+const https = require('https');
 const fs = require('fs').promises;
+const { existsSync } = require('fs');
 const path = require('path');
 
 const app = express();
 const upload = multer({ dest: 'uploads/temp/' });
 
+// Case documents: scanned letters (PDF/images) and saved emails
+const DOCUMENT_TYPES = {
+  '.pdf': 'application/pdf',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.heic': 'image/heic',
+  '.eml': 'message/rfc822'
+};
+// Everything but the private file path
+const DOCUMENT_COLUMNS = 'id, report_id, filename, file_type, mime_type, file_size, uploaded_by_user, notes, created_at';
+const documentUpload = multer({
+  dest: 'uploads/temp/',
+  limits: { fileSize: 25 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => cb(null, !!DOCUMENT_TYPES[path.extname(file.originalname).toLowerCase()])
+});
+
 // ============ CONFIG ============
 const CONFIG = {
   db: {
@@ -25,7 +56,18 @@ const CONFIG = {
   },
   jwt: {
     secret: process.env.JWT_SECRET || 'change-me',
-    expiresIn: '7d'
+    // Access tokens are short-lived; the refresh token (one per device session) renews them
+    expiresIn: process.env.JWT_EXPIRES_IN || '15m',
+    refreshDays: parseInt(process.env.REFRESH_TOKEN_DAYS || '30')
+  },
+  auth: {
+    passwordMinLength: parseInt(process.env.PASSWORD_MIN_LENGTH || '10'),
+    // Per account: lock after this many wrong passwords in a row
+    maxFailedLogins: parseInt(process.env.LOGIN_MAX_FAILED || '5'),
+    lockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES || '15'),
+    // Per client IP: failed logins and reset requests within the window
+    ipMaxAttempts: parseInt(process.env.LOGIN_IP_MAX_ATTEMPTS || '20'),
+    ipWindowMinutes: parseInt(process.env.LOGIN_IP_WINDOW_MINUTES || '15')
   },
   smtp: {
     host: process.env.SMTP_HOST,
@@ -35,7 +77,101 @@ const CONFIG = {
       pass: process.env.SMTP_PASS
     }
   },
+  mail: {
+    // smtp sends for real; file (.eml) and json only write each mail to MAIL_OUTPUT_DIR
+    transport: process.env.MAIL_TRANSPORT || 'smtp',
+    outputDir: process.env.MAIL_OUTPUT_DIR || path.join('data', 'mail'),
+    maxAttempts: parseInt(process.env.MAIL_MAX_ATTEMPTS || '8'),
+    retryBaseDelay: parseInt(process.env.MAIL_RETRY_BASE_DELAY || '60'),
+    workerInterval: parseInt(process.env.OUTBOX_POLL_INTERVAL || '30') * 1000
+  },
+  imap: {
+    host: process.env.IMAP_HOST,
+    port: parseInt(process.env.IMAP_PORT || '993'),
+    secure: process.env.IMAP_SECURE !== 'false',
+    auth: {
+      user: process.env.IMAP_USER,
+      pass: process.env.IMAP_PASS
+    },
+    mailbox: process.env.IMAP_MAILBOX || 'INBOX'
+  },
+  inbound: {
+    pollInterval: parseInt(process.env.INBOUND_POLL_INTERVAL || '60') * 1000,
+    emlDir: process.env.INBOUND_EML_DIR || null
+  },
+  media: {
+    // Metadata-free copies for web display; originals stay private in uploads/<case_number>/
+    dir: path.join('uploads', 'media'),
+    ffmpegPath: process.env.FFMPEG_PATH || 'ffmpeg'
+  },
+  redaction: {
+    // OpenCV Haar cascades (offline, CPU-only, fetched by docker-compose); without them photos get no public copy
+    enabled: process.env.REDACTION_ENABLED !== 'false',
+    cascadeDir: process.env.REDACTION_CASCADE_DIR || 'cascades',
+    cascades: {
+      face: process.env.REDACTION_FACE_CASCADE || 'haarcascade_frontalface_default.xml',
+      plate: process.env.REDACTION_PLATE_CASCADE || 'haarcascade_russian_plate_number.xml'
+    },
+    maxDetectionSize: 1280,
+    // Photos still waiting for a redacted public copy are picked up again in this interval
+    retryInterval: 10 * 60 * 1000
+  },
+  geocoding: {
+    // nominatim or photon (self-hosted instances via GEOCODER_URL), or offline for PLZ polygons only
+    provider: process.env.GEOCODER || 'nominatim',
+    url: process.env.GEOCODER_URL || null,
+    userAgent: process.env.GEOCODER_USER_AGENT || 'RUO-Platform/1.0',
+    timeout: parseInt(process.env.GEOCODER_TIMEOUT || '5000'),
+    // Milliseconds between requests; the public Nominatim allows at most one per second
+    minInterval: process.env.GEOCODER_MIN_INTERVAL ? parseInt(process.env.GEOCODER_MIN_INTERVAL) : null,
+    cacheDays: parseInt(process.env.GEOCODE_CACHE_DAYS || '90'),
+    postcodeFile: process.env.PLZ_POLYGON_FILE || path.join('geo', 'plz-5stellig.geojson')
+  },
+  map: {
+    tileUrl: process.env.MAP_TILE_URL || 'https://tile.openstreetmap.org/{z}/{x}/{y}.png',
+    zoom: 17
+  },
+  deadlines: {
+    // Days the authority has to answer before the first reminder, then days between reminders
+    responseDays: parseInt(process.env.RESPONSE_DEADLINE_DAYS || '28'),
+    reminderIntervalDays: parseInt(process.env.REMINDER_INTERVAL_DAYS || '14'),
+    maxReminders: parseInt(process.env.MAX_REMINDERS || '2'),
+    checkInterval: parseInt(process.env.DEADLINE_CHECK_INTERVAL || '3600') * 1000
+  },
   mailDomain: process.env.MAIL_DOMAIN || 'rechtundordnung.treudler.net',
+  // Absolute base URL for links in feeds and exports
+  publicUrl: (process.env.PUBLIC_URL || 'http://localhost:3000').replace(/\/$/, ''),
+  // Sender for mails to our own users (replies must not land in a case inbox)
+  systemEmail: process.env.SYSTEM_EMAIL || `noreply@${process.env.MAIL_DOMAIN || 'rechtundordnung.treudler.net'}`,
+  accounts: {
+    // Days between the deletion request and the actual deletion; the user can cancel until then
+    deletionGraceDays: parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS || '14'),
+    deletionCheckInterval: 60 * 60 * 1000
+  },
+  authorityPortal: {
+    // Validity of the case link in the mails to the authority
+    linkDays: parseInt(process.env.AUTHORITY_LINK_DAYS || '90')
+  },
+  notifications: {
+    // Reporters are told this many days before the authority's response deadline ends
+    deadlineWarningDays: parseInt(process.env.NOTIFY_DEADLINE_DAYS || '3'),
+    // Hour (Europe/Berlin) at which daily digests go out
+    digestHour: parseInt(process.env.NOTIFICATION_DIGEST_HOUR || '7'),
+    checkInterval: 15 * 60 * 1000
+  },
+  webhooks: {
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '8'),
+    // Seconds before the first retry, doubled for every further attempt
+    retryBaseDelay: parseInt(process.env.WEBHOOK_RETRY_BASE_DELAY || '60'),
+    timeout: 10000,
+    workerInterval: 30 * 1000,
+    // Targets in private networks (localhost, 10.x, 192.168.x …) only for local development
+    allowPrivateTargets: process.env.WEBHOOK_ALLOW_PRIVATE === '1'
+  },
+  districts: {
+    // Days until a district fetched from weg.li is looked up again
+    cacheDays: parseInt(process.env.DISTRICT_CACHE_DAYS || '30')
+  },
   wegliApiKey: process.env.WEGLI_API_KEY,
   masterAccount: {
     email: process.env.MASTER_EMAIL || 'joshua@treudler.net',
@@ -47,10 +183,14 @@ const CONFIG = {
 let db;
 
 // ============ MIDDLEWARE ============
+// Behind a reverse proxy, req.ip (used for login throttling) needs the forwarded address
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', process.env.TRUST_PROXY);
+}
 app.use(cors());
 app.use(express.json());
 app.use(express.static('public'));
-app.use('/uploads', express.static('uploads'));
+app.use('/media', express.static(CONFIG.media.dir, { index: false, dotfiles: 'deny' }));
 
 // ============ DB CONNECTION ============
 async function connectDB() {
@@ -60,6 +200,9 @@ async function connectDB() {
 
     // Create master account if it doesn't exist
     await createMasterAccount();
+
+    // Default email templates (editable afterwards)
+    await seedEmailTemplates();
   } catch (error) {
     console.error('❌ MySQL connection failed:', error.message);
     process.exit(1);
@@ -77,6 +220,11 @@ async function createMasterAccount() {
     );
 
     if (users.length > 0) {
+      // Make sure the master account keeps admin rights
+      await db.execute(
+        'UPDATE users SET role = "admin" WHERE id = ?',
+        [users[0].id]
+      );
       console.log(`ℹ️  Master account already exists: ${email}`);
       return;
     }
@@ -84,7 +232,7 @@ async function createMasterAccount() {
     // Create master account
     const passwordHash = await bcrypt.hash(password, 10);
     await db.execute(
-      'INSERT INTO users (email, password_hash, name) VALUES (?, ?, ?)',
+      'INSERT INTO users (email, password_hash, name, role, email_verified_at) VALUES (?, ?, ?, "admin", NOW())',
       [email, passwordHash, name]
     );
 
@@ -95,830 +243,6788 @@ async function createMasterAccount() {
 }
 
 // ============ AUTH MIDDLEWARE ============
-function authMiddleware(req, res, next) {
+const USER_ROLES = ['reporter', 'moderator', 'admin'];
+
+// The session behind the token is checked on every request, so logout, revoked devices,
+// deleted or disabled accounts and role changes take effect before the token expires
+async function authMiddleware(req, res, next) {
   const token = req.headers.authorization?.split(' ')[1];
 
   if (!token) {
     return res.status(401).json({ error: 'No token provided' });
   }
 
+  // Personal API tokens for integrations instead of a login session
+  if (token.startsWith(API_TOKEN_PREFIX)) {
+    return apiTokenAuth(token, req, res, next);
+  }
+
+  let decoded;
   try {
-    const decoded = jwt.verify(token, CONFIG.jwt.secret);
-    req.user = decoded;
-    next();
+    decoded = jwt.verify(token, CONFIG.jwt.secret);
   } catch (error) {
     return res.status(401).json({ error: 'Invalid token' });
   }
-}
 
-// ============ UTILITIES ============
-function generateCaseNumber() {
-  const date = new Date();
-  const year = date.getFullYear().toString().slice(-2);
-  const month = (date.getMonth() + 1).toString().padStart(2, '0');
-  const random = Math.floor(Math.random() * 10000).toString().padStart(4, '0');
-  return `RUO-${year}${month}-${random}`;
-}
+  try {
+    const [users] = await db.execute(
+      `SELECT u.id, u.email, u.role, u.disabled_at, s.revoked_at
+       FROM users u
+       JOIN sessions s ON s.user_id = u.id
+       WHERE u.id = ? AND s.id = ?`,
+      [decoded.id, decoded.sid || 0]
+    );
 
-function getCaseEmailAddress(caseNumber) {
-  return `${caseNumber.toLowerCase()}@${CONFIG.mailDomain}`;
-}
+    if (!users[0] || users[0].revoked_at) {
+      return res.status(401).json({ error: 'Session expired' });
+    }
 
-async function geocodeLocation(lat, lng) {
-  try {
-    const response = await axios.get('https://nominatim.openstreetmap.org/reverse', {
-      params: {
-        lat,
-        lon: lng,
-        format: 'json',
-        addressdetails: 1,
-        'accept-language': 'de'
-      },
-      headers: { 'User-Agent': 'RUO-Platform/1.0' }
-    });
+    if (users[0].disabled_at) {
+      return res.status(403).json({ error: 'Account disabled' });
+    }
 
-    const { address, display_name } = response.data;
-    return {
-      address: display_name,
-      zip: address.postcode || null,
-      city: address.city || address.town || address.village || null
-    };
+    req.user = { id: users[0].id, email: users[0].email, role: users[0].role, sessionId: decoded.sid };
+    next();
   } catch (error) {
-    console.error('Geocoding error:', error.message);
-    return null;
+    console.error('Auth error:', error);
+    res.status(500).json({ error: 'Authentication failed' });
   }
 }
 
-async function getDistrictByZip(zip) {
-  if (!zip || !CONFIG.wegliApiKey) {
-    console.log('No ZIP or weg.li API key, skipping district lookup');
-    return null;
+// Use after authMiddleware, e.g. requireRole('moderator', 'admin')
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!roles.includes(req.user?.role)) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+    next();
+  };
+}
+
+// ============ ACCOUNT SECURITY ============
+const USER_TOKEN_LIFETIME_HOURS = {
+  verify_email: 48,
+  password_reset: 1
+};
+// Values shipped in .env.example/docker-compose.yml; refused in production
+const DEFAULT_JWT_SECRETS = ['change-me', 'change-me-in-production', 'change-me-to-random-string-in-production'];
+const COMMON_PASSWORDS = ['password', 'passwort', '1234567890', '12345678910', 'qwertzuiop', 'qwertyuiop', 'password123', 'passwort123'];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Returns an error message or null
+function validatePassword(password, email) {
+  if (typeof password !== 'string' || password.length < CONFIG.auth.passwordMinLength) {
+    return `Password must be at least ${CONFIG.auth.passwordMinLength} characters`;
+  }
+  // bcrypt ignores everything after 72 bytes
+  if (Buffer.byteLength(password) > 72) {
+    return 'Password must be at most 72 bytes';
+  }
+  if (/^\d+$/.test(password) || COMMON_PASSWORDS.includes(password.toLowerCase())) {
+    return 'Password is too common';
+  }
+  if (email && password.toLowerCase().includes(String(email).split('@')[0].toLowerCase())) {
+    return 'Password must not contain the email address';
   }
+  return null;
+}
 
-  try {
-    // Hardcoded district for PLZ 85764
-    if (zip === '85764') {
-      // Check if already in cache
-      const [cached] = await db.execute(
-        'SELECT * FROM districts WHERE zip = ?',
-        [zip]
-      );
+// Only the SHA-256 of a token is stored; the token itself is only in the mail
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
 
-      if (cached[0]) {
-        console.log(`✅ Hardcoded district found in cache: ${cached[0].name}`);
-        return cached[0];
-      }
+async function createUserToken(userId, type) {
+  // A new link replaces older unused ones of the same type
+  await db.execute('DELETE FROM user_tokens WHERE user_id = ? AND type = ? AND used_at IS NULL', [userId, type]);
 
-      // Insert hardcoded district
-      await db.execute(
-        'INSERT INTO districts (name, zip, email, latitude, longitude, personal_email) VALUES (?, ?, ?, ?, ?, ?)',
-        ['Oberschleißheim (Hardcoded)', '85764', 'joshua@treudler.net', null, null, false]
-      );
+  const token = crypto.randomBytes(32).toString('base64url');
+  await db.execute(
+    'INSERT INTO user_tokens (user_id, type, token_hash, expires_at) VALUES (?, ?, ?, DATE_ADD(NOW(), INTERVAL ? HOUR))',
+    [userId, type, hashToken(token), USER_TOKEN_LIFETIME_HOURS[type]]
+  );
+  return token;
+}
 
-      const [newDistrict] = await db.execute(
-        'SELECT * FROM districts WHERE zip = ?',
-        [zip]
-      );
+// Unused, unexpired token with its user, or null
+async function findUserToken(token, type) {
+  if (!token) return null;
+  const [tokens] = await db.execute(
+    `SELECT t.id, t.user_id, u.email, u.disabled_at
+     FROM user_tokens t
+     JOIN users u ON t.user_id = u.id
+     WHERE t.token_hash = ? AND t.type = ? AND t.used_at IS NULL AND t.expires_at > NOW()`,
+    [hashToken(token), type]
+  );
+  return tokens[0] && !tokens[0].disabled_at ? tokens[0] : null;
+}
 
-      console.log(`✅ Hardcoded district created: ${newDistrict[0].name} (${newDistrict[0].email})`);
-      return newDistrict[0];
-    }
+// False if the token was used concurrently
+async function markUserTokenUsed(tokenId) {
+  const [result] = await db.execute('UPDATE user_tokens SET used_at = NOW() WHERE id = ? AND used_at IS NULL', [tokenId]);
+  return result.affectedRows > 0;
+}
 
-    // Check cache first
-    const [cached] = await db.execute(
-      'SELECT * FROM districts WHERE zip = ?',
-      [zip]
-    );
+async function sendVerificationEmail(user) {
+  const token = await createUserToken(user.id, 'verify_email');
 
-    if (cached[0]) {
-      console.log(`Using cached district for ZIP ${zip}`);
-      return cached[0];
-    }
+  await queueEmail({
+    emailType: 'verification',
+    logToThread: false,
+    from: CONFIG.systemEmail,
+    to: user.email,
+    subject: 'Bitte bestätigen Sie Ihre E-Mail-Adresse',
+    text: `Hallo ${user.name || ''},
 
-    // Fetch from weg.li API
-    console.log(`Fetching district for ZIP ${zip} from weg.li API`);
-    const response = await axios.get(`https://www.weg.li/api/districts/${zip}`, {
-      headers: {
-        'X-API-KEY': CONFIG.wegliApiKey,
-        'Accept': 'application/json'
-      },
-      timeout: 5000
-    });
+bitte bestätigen Sie Ihre E-Mail-Adresse für RechtUndOrdnung:
 
-    const district = response.data;
+${CONFIG.publicUrl}/index.html?verify=${token}
 
-    // Cache in database
-    await db.execute(
-      `INSERT INTO districts (name, zip, email, latitude, longitude, personal_email)
-       VALUES (?, ?, ?, ?, ?, ?)
-       ON DUPLICATE KEY UPDATE
-       name = VALUES(name),
-       email = VALUES(email),
-       latitude = VALUES(latitude),
-       longitude = VALUES(longitude),
-       personal_email = VALUES(personal_email)`,
-      [
-        district.name,
-        district.zip,
-        district.email,
-        district.latitude || null,
-        district.longitude || null,
-        district.personal_email || false
-      ]
-    );
+Der Link ist ${USER_TOKEN_LIFETIME_HOURS.verify_email} Stunden gültig. Erst nach der Bestätigung können Anzeigen versendet werden.
 
-    const [newDistrict] = await db.execute(
-      'SELECT * FROM districts WHERE zip = ?',
-      [zip]
-    );
+Falls Sie sich nicht registriert haben, können Sie diese E-Mail ignorieren.
 
-    console.log(`✅ District cached: ${district.name} (${district.email})`);
-    return newDistrict[0];
-  } catch (error) {
-    if (error.response && error.response.status === 404) {
-      console.log(`No district found for ZIP ${zip}`);
-      return null;
-    }
-    console.error('weg.li API error:', error.message);
-    return null;
-  }
+Ihr RechtUndOrdnung-Team`,
+    userId: user.id
+  });
 }
 
-// ============ API ENDPOINTS ============
+async function sendPasswordResetEmail(user) {
+  const token = await createUserToken(user.id, 'password_reset');
 
-// Health Check
-app.get('/api/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
-});
+  await queueEmail({
+    emailType: 'password_reset',
+    logToThread: false,
+    from: CONFIG.systemEmail,
+    to: user.email,
+    subject: 'Passwort zurücksetzen',
+    text: `Hallo ${user.name || ''},
 
-// ---- AUTH ----
-app.post('/api/register', async (req, res) => {
-  try {
-    const { email, password, name } = req.body;
+über folgenden Link können Sie ein neues Passwort für RechtUndOrdnung vergeben:
 
-    if (!email || !password) {
-      return res.status(400).json({ error: 'Email and password required' });
-    }
+${CONFIG.publicUrl}/index.html?reset=${token}
 
-    const passwordHash = await bcrypt.hash(password, 10);
+Der Link ist ${USER_TOKEN_LIFETIME_HOURS.password_reset} Stunde gültig. Falls Sie das nicht angefordert haben, ignorieren Sie diese E-Mail; Ihr Passwort bleibt unverändert.
 
-    const [result] = await db.execute(
-      'INSERT INTO users (email, password_hash, name) VALUES (?, ?, ?)',
-      [email, passwordHash, name || null]
-    );
+Ihr RechtUndOrdnung-Team`,
+    userId: user.id
+  });
+}
 
-    const token = jwt.sign(
-      { id: result.insertId, email },
-      CONFIG.jwt.secret,
-      { expiresIn: CONFIG.jwt.expiresIn }
-    );
+// Attempts per client IP and action (in memory; a restart resets the counters)
+const authAttempts = new Map();
 
-    res.json({
-      token,
-      user: { id: result.insertId, email, name: name || null }
-    });
-  } catch (error) {
-    if (error.code === 'ER_DUP_ENTRY') {
-      return res.status(409).json({ error: 'Email already exists' });
-    }
-    console.error('Register error:', error);
-    res.status(500).json({ error: 'Registration failed' });
-  }
-});
+function getAuthAttemptKey(req, action) {
+  return `${action}:${req.ip}`;
+}
 
-app.post('/api/login', async (req, res) => {
-  try {
-    const { email, password } = req.body;
+function isAuthThrottled(req, action) {
+  const entry = authAttempts.get(getAuthAttemptKey(req, action));
+  return !!entry && entry.resetAt > Date.now() && entry.count >= CONFIG.auth.ipMaxAttempts;
+}
 
-    const [users] = await db.execute(
-      'SELECT * FROM users WHERE email = ?',
-      [email]
-    );
+function recordAuthAttempt(req, action) {
+  const now = Date.now();
+  const key = getAuthAttemptKey(req, action);
+  const entry = authAttempts.get(key);
 
-    if (!users[0]) {
-      return res.status(401).json({ error: 'Invalid credentials' });
+  if (entry && entry.resetAt > now) {
+    entry.count++;
+  } else {
+    authAttempts.set(key, { count: 1, resetAt: now + CONFIG.auth.ipWindowMinutes * 60 * 1000 });
+  }
+
+  if (authAttempts.size > 10000) {
+    for (const [staleKey, stale] of authAttempts) {
+      if (stale.resetAt <= now) authAttempts.delete(staleKey);
     }
+  }
+}
 
-    const user = users[0];
-    const valid = await bcrypt.compare(password, user.password_hash);
+// Refuse to run in production with the shipped secrets
+function checkProductionConfig() {
+  if (process.env.NODE_ENV !== 'production') return;
 
-    if (!valid) {
-      return res.status(401).json({ error: 'Invalid credentials' });
+  const problems = [];
+  if (DEFAULT_JWT_SECRETS.includes(CONFIG.jwt.secret) || CONFIG.jwt.secret.length < 32) {
+    problems.push('JWT_SECRET is a default value or shorter than 32 characters');
+  }
+  const masterPasswordError = validatePassword(CONFIG.masterAccount.password, CONFIG.masterAccount.email);
+  if (masterPasswordError) {
+    problems.push(`MASTER_PASSWORD is not acceptable: ${masterPasswordError}`);
+  }
+  if (CONFIG.redaction.enabled) {
+    for (const file of Object.values(CONFIG.redaction.cascades)) {
+      if (!existsSync(path.join(CONFIG.redaction.cascadeDir, file))) {
+        problems.push(`Redaction cascade ${path.join(CONFIG.redaction.cascadeDir, file)} is missing (REDACTION_CASCADE_DIR)`);
+      }
     }
+  }
+  // Without the polygons a geocoder outage leaves new reports without PLZ and Ordnungsamt
+  if (!existsSync(CONFIG.geocoding.postcodeFile)) {
+    problems.push(`PLZ polygons ${CONFIG.geocoding.postcodeFile} are missing (PLZ_POLYGON_FILE)`);
+  }
 
-    const token = jwt.sign(
-      { id: user.id, email: user.email },
-      CONFIG.jwt.secret,
-      { expiresIn: CONFIG.jwt.expiresIn }
-    );
-
-    res.json({
-      token,
-      user: { id: user.id, email: user.email, name: user.name }
-    });
-  } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({ error: 'Login failed' });
+  if (problems.length > 0) {
+    problems.forEach(problem => console.error(`❌ ${problem}`));
+    console.error('❌ Refusing to start with NODE_ENV=production');
+    process.exit(1);
   }
-});
+}
 
-app.get('/api/me', authMiddleware, async (req, res) => {
-  try {
-    const [users] = await db.execute(
-      'SELECT id, email, name, created_at FROM users WHERE id = ?',
-      [req.user.id]
-    );
+// ============ SESSIONS ============
+// A replaced refresh token is normally a stolen one and revokes the session; within these
+// seconds it is just two browser tabs refreshing at the same time
+const REFRESH_REUSE_GRACE_SECONDS = 30;
+
+function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    { id: user.id, email: user.email, role: user.role, sid: sessionId },
+    CONFIG.jwt.secret,
+    { expiresIn: CONFIG.jwt.expiresIn }
+  );
+}
 
-    if (!users[0]) {
-      return res.status(404).json({ error: 'User not found' });
+// One session per login (device); returns the tokens for the client
+async function createSession(user, req) {
+  // Housekeeping: expired sessions and long revoked ones are of no use in the device list
+  await db.execute(
+    'DELETE FROM sessions WHERE user_id = ? AND (expires_at < NOW() OR revoked_at < DATE_SUB(NOW(), INTERVAL 30 DAY))',
+    [user.id]
+  );
+
+  const refreshToken = crypto.randomBytes(32).toString('base64url');
+  const [result] = await db.execute(
+    `INSERT INTO sessions (user_id, refresh_token_hash, user_agent, ip_address, expires_at)
+     VALUES (?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? DAY))`,
+    [user.id, hashToken(refreshToken), (req.get('user-agent') || '').slice(0, 255) || null, req.ip || null, CONFIG.jwt.refreshDays]
+  );
+
+  return { token: signAccessToken(user, result.insertId), refreshToken };
+}
+
+// Rotates the refresh token; returns new tokens or null
+async function rotateSession(refreshToken, req) {
+  const hash = hashToken(refreshToken);
+
+  const [sessions] = await db.execute(
+    `SELECT s.id, s.user_id, s.refresh_token_hash, u.email, u.role, u.disabled_at,
+            TIMESTAMPDIFF(SECOND, s.rotated_at, NOW()) as rotated_seconds_ago
+     FROM sessions s
+     JOIN users u ON s.user_id = u.id
+     WHERE (s.refresh_token_hash = ? OR s.previous_token_hash = ?) AND s.revoked_at IS NULL AND s.expires_at > NOW()`,
+    [hash, hash]
+  );
+
+  const session = sessions[0];
+  if (!session || session.disabled_at) {
+    return null;
+  }
+
+  if (session.refresh_token_hash !== hash) {
+    if (session.rotated_seconds_ago > REFRESH_REUSE_GRACE_SECONDS) {
+      await db.execute('UPDATE sessions SET revoked_at = NOW() WHERE id = ?', [session.id]);
+      console.log(`⚠️  Reused refresh token, session ${session.id} of user ${session.user_id} revoked`);
     }
+    return null;
+  }
 
-    res.json({ user: users[0] });
-  } catch (error) {
-    console.error('Get user error:', error);
-    res.status(500).json({ error: 'Failed to get user' });
+  const newRefreshToken = crypto.randomBytes(32).toString('base64url');
+  // previous_token_hash is assigned first and gets the old value
+  const [result] = await db.execute(
+    `UPDATE sessions
+     SET previous_token_hash = refresh_token_hash, refresh_token_hash = ?, rotated_at = NOW(),
+         last_used_at = NOW(), ip_address = ?, user_agent = ?
+     WHERE id = ? AND refresh_token_hash = ?`,
+    [hashToken(newRefreshToken), req.ip || null, (req.get('user-agent') || '').slice(0, 255) || null, session.id, hash]
+  );
+
+  if (result.affectedRows === 0) {
+    return null;
   }
-});
 
-// ---- REPORTS ----
-app.post('/api/reports', authMiddleware, async (req, res) => {
-  try {
-    const caseNumber = generateCaseNumber();
+  return {
+    token: signAccessToken({ id: session.user_id, email: session.email, role: session.role }, session.id),
+    refreshToken: newRefreshToken
+  };
+}
 
-    const [result] = await db.execute(
-      'INSERT INTO reports (case_number, user_id, status) VALUES (?, ?, "draft")',
-      [caseNumber, req.user.id]
-    );
+// All sessions of a user, optionally except the current one (password change)
+async function revokeUserSessions(userId, exceptSessionId = null) {
+  await db.execute(
+    'UPDATE sessions SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL AND id != ?',
+    [userId, exceptSessionId || 0]
+  );
+}
 
-    res.json({
-      id: result.insertId,
-      caseNumber,
-      status: 'draft'
-    });
-  } catch (error) {
-    console.error('Create report error:', error);
-    res.status(500).json({ error: 'Failed to create report' });
-  }
-});
+// ============ API TOKENS ============
+// Long-lived personal tokens for integrations: only the SHA-256 is stored, and each token is limited
+// to the areas its scopes name (read = GET, write = everything else, write includes read)
+const API_TOKEN_PREFIX = 'ruo_';
+const API_TOKEN_SCOPES = [
+  'reports:read', 'reports:write', 'notifications:read', 'notifications:write',
+  'webhooks:read', 'webhooks:write', 'admin:read', 'admin:write'
+];
+const MAX_API_TOKENS_PER_USER = 20;
+
+// Path prefix → scope area; account, sessions and the tokens themselves always need a login
+const API_TOKEN_AREAS = {
+  '/api/reports': 'reports',
+  '/api/photos': 'reports',
+  '/api/cameras': 'reports',
+  '/api/notifications': 'notifications',
+  '/api/webhooks': 'webhooks',
+  '/api/admin': 'admin'
+};
 
-app.get('/api/reports', authMiddleware, async (req, res) => {
-  try {
-    const [reports] = await db.execute(
-      `SELECT r.*,
-              (SELECT COUNT(*) FROM photos WHERE report_id = r.id) as photo_count
-       FROM reports r
-       WHERE r.user_id = ?
-       ORDER BY r.created_at DESC`,
-      [req.user.id]
-    );
+function isAllowedForApiToken(req, scopes) {
+  // "Who am I" works with every token
+  if (req.method === 'GET' && req.path === '/api/me') return true;
 
-    res.json({ reports });
-  } catch (error) {
-    console.error('Get reports error:', error);
-    res.status(500).json({ error: 'Failed to get reports' });
-  }
-});
+  const prefix = Object.keys(API_TOKEN_AREAS).find(p => req.path === p || req.path.startsWith(`${p}/`));
+  if (!prefix) return false;
 
-app.get('/api/reports/:id', authMiddleware, async (req, res) => {
+  const area = API_TOKEN_AREAS[prefix];
+  const readOnly = ['GET', 'HEAD'].includes(req.method);
+  return scopes.includes(`${area}:write`) || (readOnly && scopes.includes(`${area}:read`));
+}
+
+async function apiTokenAuth(token, req, res, next) {
   try {
-    const [reports] = await db.execute(
-      'SELECT r.*, d.name as district_name, d.email as district_email, d.zip as district_zip FROM reports r LEFT JOIN districts d ON r.district_id = d.id WHERE r.id = ? AND r.user_id = ?',
-      [req.params.id, req.user.id]
+    const [tokens] = await db.execute(
+      `SELECT t.id, t.scopes, t.last_used_at, u.id as user_id, u.email, u.role, u.disabled_at
+       FROM api_tokens t
+       JOIN users u ON t.user_id = u.id
+       WHERE t.token_hash = ? AND t.revoked_at IS NULL AND (t.expires_at IS NULL OR t.expires_at > NOW())`,
+      [hashToken(token)]
     );
 
-    if (!reports[0]) {
-      return res.status(404).json({ error: 'Report not found' });
+    const apiToken = tokens[0];
+
+    if (!apiToken) {
+      return res.status(401).json({ error: 'Invalid token' });
     }
 
-    const [photos] = await db.execute(
-      'SELECT id, filename, filepath, media_type, mime_type, lat, lng, taken_at, created_at FROM photos WHERE report_id = ?',
-      [req.params.id]
-    );
+    if (apiToken.disabled_at) {
+      return res.status(403).json({ error: 'Account disabled' });
+    }
 
-    const [documents] = await db.execute(
-      'SELECT * FROM documents WHERE report_id = ?',
-      [req.params.id]
-    );
+    const scopes = apiToken.scopes.split(',');
+    if (!isAllowedForApiToken(req, scopes)) {
+      return res.status(403).json({ error: 'Token scope does not allow this request' });
+    }
 
-    const [history] = await db.execute(
-      'SELECT * FROM status_history WHERE report_id = ? ORDER BY created_at DESC',
-      [req.params.id]
-    );
+    // One write per minute is enough to show when a token was last used
+    if (!apiToken.last_used_at || Date.now() - new Date(apiToken.last_used_at).getTime() > 60 * 1000) {
+      await db.execute('UPDATE api_tokens SET last_used_at = NOW() WHERE id = ?', [apiToken.id]);
+    }
 
-    res.json({
-      report: reports[0],
-      photos,
-      documents,
-      history
-    });
+    req.user = { id: apiToken.user_id, email: apiToken.email, role: apiToken.role, apiTokenId: apiToken.id, scopes };
+    next();
   } catch (error) {
-    console.error('Get report error:', error);
-    res.status(500).json({ error: 'Failed to get report' });
+    console.error('API token auth error:', error);
+    res.status(500).json({ error: 'Authentication failed' });
   }
-});
+}
 
-app.put('/api/reports/:id', authMiddleware, async (req, res) => {
-  try {
-    const { violationType, notes, isPublic, hideUsername } = req.body;
+// ============ ACCOUNT DATA ============
+// Art. 15/20 DSGVO: everything we store about a user as a ZIP; Art. 17: deletion after a grace period
+const EXPORT_README = `Datenauskunft RechtUndOrdnung (Art. 15 und 20 DSGVO)
 
-    // Verify ownership
-    const [reports] = await db.execute(
-      'SELECT * FROM reports WHERE id = ? AND user_id = ?',
-      [req.params.id, req.user.id]
-    );
+profil.json            Ihr Konto, angemeldete Geräte, Benachrichtigungen, API-Tokens und Webhooks
+anzeigen/<Aktenzeichen>/anzeige.json
+                       Anzeige mit Statusverlauf, E-Mail-Verlauf, Foto- und Dokumentliste
+anzeigen/<Aktenzeichen>/fotos/
+                       Ihre Originaldateien (mit den Metadaten, die Sie hochgeladen haben)
+anzeigen/<Aktenzeichen>/dokumente/
+                       Beschwerde-PDFs, Schreiben der Behörde und gespeicherte E-Mails
 
-    if (!reports[0]) {
-      return res.status(404).json({ error: 'Report not found' });
-    }
+Alle Zeitangaben in UTC.
+`;
 
-    await db.execute(
-      'UPDATE reports SET violation_type = ?, notes = ?, is_public = ?, hide_username = ? WHERE id = ?',
-      [violationType || null, notes || null, isPublic !== undefined ? isPublic : true, hideUsername || false, req.params.id]
-    );
+function toArchiveName(name) {
+  return String(name).replace(/[^a-zA-Z0-9._-]/g, '_');
+}
 
-    res.json({ success: true });
+// Everything linked to the account; file paths are only used to read the files
+async function loadAccountData(userId) {
+  const [users] = await db.execute(
+    `SELECT id, email, name, display_name, public_profile, public_id, role, notification_email, email_verified_at,
+            password_changed_at, deletion_requested_at, delete_after, created_at, updated_at
+     FROM users WHERE id = ?`,
+    [userId]
+  );
+
+  const [sessions] = await db.execute(
+    'SELECT user_agent, ip_address, created_at, last_used_at, expires_at, revoked_at FROM sessions WHERE user_id = ?',
+    [userId]
+  );
+
+  const [notifications] = await db.execute(
+    'SELECT report_id, type, title, body, read_at, emailed_at, created_at FROM notifications WHERE user_id = ? ORDER BY created_at',
+    [userId]
+  );
+
+  const [apiTokens] = await db.execute(
+    'SELECT name, token_hint, scopes, expires_at, last_used_at, revoked_at, created_at FROM api_tokens WHERE user_id = ?',
+    [userId]
+  );
+
+  const [webhooks] = await db.execute(
+    'SELECT url, events, all_reports, active, created_at FROM webhooks WHERE user_id = ?',
+    [userId]
+  );
+
+  const [reports] = await db.execute(
+    `SELECT r.*, d.name as district_name, d.email as district_email
+     FROM reports r
+     LEFT JOIN districts d ON r.district_id = d.id
+     WHERE r.user_id = ?
+     ORDER BY r.created_at`,
+    [userId]
+  );
+
+  const related = { photos: [], documents: [], emails: [], history: [] };
+  if (reports.length > 0) {
+    const reportIds = reports.map(report => report.id);
+    [related.photos] = await db.query('SELECT * FROM photos WHERE report_id IN (?) ORDER BY id', [reportIds]);
+    [related.documents] = await db.query('SELECT * FROM documents WHERE report_id IN (?) ORDER BY id', [reportIds]);
+    [related.emails] = await db.query('SELECT * FROM email_logs WHERE report_id IN (?) ORDER BY sent_at', [reportIds]);
+    [related.history] = await db.query('SELECT * FROM status_history WHERE report_id IN (?) ORDER BY created_at', [reportIds]);
+  }
+
+  return { user: users[0], sessions, notifications, apiTokens, webhooks, reports, ...related };
+}
+
+async function appendFileIfExists(archive, filepath, name) {
+  try {
+    await fs.access(filepath);
+    archive.file(filepath, { name });
+  } catch (error) {
+    console.log(`ℹ️  Export: file missing, skipped: ${filepath}`);
+  }
+}
+
+async function writeAccountArchive(data, archive) {
+  archive.append(EXPORT_README, { name: 'LIESMICH.txt' });
+  archive.append(
+    JSON.stringify({
+      exportedAt: new Date(),
+      user: data.user,
+      sessions: data.sessions,
+      notifications: data.notifications,
+      apiTokens: data.apiTokens,
+      webhooks: data.webhooks
+    }, null, 2),
+    { name: 'profil.json' }
+  );
+
+  for (const report of data.reports) {
+    const dir = `anzeigen/${toArchiveName(report.case_number)}`;
+    const photos = data.photos.filter(photo => photo.report_id === report.id);
+    const documents = data.documents.filter(document => document.report_id === report.id);
+
+    const content = {
+      ...report,
+      statusHistory: data.history.filter(entry => entry.report_id === report.id),
+      emails: data.emails
+        .filter(email => email.report_id === report.id)
+        .map(email => ({ ...email, body: redactPortalLinks(email.body), attachments: parseJsonColumn(email.attachments) })),
+      photos: photos.map(({ filepath, public_filepath, ...photo }) => ({
+        ...photo,
+        auto_blur_regions: parseJsonColumn(photo.auto_blur_regions),
+        manual_blur_regions: parseJsonColumn(photo.manual_blur_regions),
+        file: `fotos/${photo.id}-${toArchiveName(photo.filename)}`
+      })),
+      documents: documents.map(({ filepath, ...document }) => ({
+        ...document,
+        file: `dokumente/${document.id}-${toArchiveName(document.filename)}`
+      }))
+    };
+    archive.append(JSON.stringify(content, null, 2), { name: `${dir}/anzeige.json` });
+
+    for (const photo of photos) {
+      await appendFileIfExists(archive, photo.filepath, `${dir}/fotos/${photo.id}-${toArchiveName(photo.filename)}`);
+    }
+    for (const document of documents) {
+      await appendFileIfExists(archive, document.filepath, `${dir}/dokumente/${document.id}-${toArchiveName(document.filename)}`);
+    }
+  }
+}
+
+// Stored complaint PDFs carry the reporter's name: render them again without it, in place, for the
+// recipient they went to. A dossier whose recipient can't be found anymore is removed instead
+async function anonymiseDossiers(report) {
+  const [dossiers] = await db.execute(
+    'SELECT id, filepath FROM documents WHERE report_id = ? AND file_type = "dossier"',
+    [report.id]
+  );
+  if (dossiers.length === 0) return;
+
+  const [photos] = await db.execute('SELECT * FROM photos WHERE report_id = ?', [report.id]);
+
+  for (const dossier of dossiers) {
+    try {
+      const [mails] = await db.execute(
+        `SELECT to_email, recipient_type FROM email_outbox
+         WHERE report_id = ? AND JSON_SEARCH(attachments, 'one', ?, NULL, '$[*].path') IS NOT NULL
+         ORDER BY id LIMIT 1`,
+        [report.id, dossier.filepath]
+      );
+
+      if (!mails[0]) {
+        throw new Error('recipient unknown');
+      }
+
+      const [districts] = await db.execute('SELECT name FROM districts WHERE id = ?', [report.district_id || 0]);
+      const recipient = {
+        name: mails[0].recipient_type === 'dpa'
+          ? getSupervisoryAuthority(report.location_state)?.name || null
+          : districts[0]?.name || null,
+        email: mails[0].to_email
+      };
+
+      // Without user_id buildDossier finds no reporter and signs with the neutral placeholder
+      const rendered = await buildDossier({ ...report, user_id: null }, photos, recipient);
+      await fs.writeFile(dossier.filepath, rendered.buffer);
+      await db.execute('UPDATE documents SET file_size = ? WHERE id = ?', [rendered.buffer.length, dossier.id]);
+    } catch (error) {
+      console.error(`⚠️  Dossier ${dossier.id} of ${report.case_number} removed instead of anonymised:`, error.message);
+      await db.execute('DELETE FROM documents WHERE id = ?', [dossier.id]);
+      await fs.unlink(dossier.filepath).catch(() => {});
+    }
+  }
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Drafts are removed; submitted reports stay as case records for the authority, without the person.
+// Files are handled first (safe to repeat), the database part runs in one transaction, so a failure
+// leaves the account as it was and the scheduler simply tries again
+async function deleteAccount(user) {
+  const [drafts] = await db.execute(
+    'SELECT * FROM reports WHERE user_id = ? AND status = "draft"',
+    [user.id]
+  );
+  for (const draft of drafts) {
+    await deleteDraftReport(draft);
+  }
+
+  const [reports] = await db.execute('SELECT * FROM reports WHERE user_id = ?', [user.id]);
+
+  for (const report of reports) {
+    await anonymiseDossiers(report);
+  }
+
+  const connection = await db.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    if (reports.length > 0) {
+      const reportIds = reports.map(report => report.id);
+
+      // Mails written by the user may be signed with name or address, replies quote them;
+      // the outbox keeps its own copy of every mail that went out. Whole words only, so "Max"
+      // leaves "Maxstraße" in an authority's letter alone
+      for (const value of [user.email, user.name].filter(value => value && value.length >= 3)) {
+        const pattern = `(?<![\\p{L}\\p{N}_])${escapeRegExp(value)}(?![\\p{L}\\p{N}_])`;
+        await connection.query(
+          'UPDATE email_logs SET subject = REGEXP_REPLACE(subject, ?, "[gelöscht]"), body = REGEXP_REPLACE(body, ?, "[gelöscht]") WHERE report_id IN (?)',
+          [pattern, pattern, reportIds]
+        );
+        await connection.query(
+          'UPDATE email_outbox SET subject = REGEXP_REPLACE(subject, ?, "[gelöscht]"), body = REGEXP_REPLACE(body, ?, "[gelöscht]") WHERE report_id IN (?)',
+          [pattern, pattern, reportIds]
+        );
+      }
+
+      await connection.query(
+        'UPDATE reports SET user_id = NULL, hide_username = TRUE WHERE id IN (?)',
+        [reportIds]
+      );
+    }
+
+    // Notifications to the person: unsent ones are dropped, sent ones lose the address
+    await connection.execute(
+      'DELETE FROM email_outbox WHERE to_email = ? AND status IN ("pending", "failed")',
+      [user.email]
+    );
+    await connection.execute(
+      'UPDATE email_outbox SET to_email = "[gelöscht]", body = "[gelöscht]" WHERE to_email = ?',
+      [user.email]
+    );
+
+    // Sessions, tokens and one-time links go with the user (ON DELETE CASCADE)
+    await connection.execute('DELETE FROM users WHERE id = ?', [user.id]);
+
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+
+  console.log(`✅ Account ${user.id} deleted (${drafts.length} drafts removed, ${reports.length} reports anonymised)`);
+}
+
+async function purgeDeletedAccounts() {
+  try {
+    const [users] = await db.execute(
+      'SELECT id, email, name FROM users WHERE delete_after IS NOT NULL AND delete_after <= NOW()'
+    );
+
+    for (const user of users) {
+      try {
+        await deleteAccount(user);
+      } catch (error) {
+        console.error(`Account deletion error for user ${user.id}:`, error.message);
+      }
+    }
+  } catch (error) {
+    console.error('Account purge error:', error);
+  }
+}
+
+function startAccountDeletionScheduler() {
+  purgeDeletedAccounts();
+  setInterval(purgeDeletedAccounts, CONFIG.accounts.deletionCheckInterval);
+  console.log(`✅ Account deletion check every ${CONFIG.accounts.deletionCheckInterval / 1000}s (grace period: ${CONFIG.accounts.deletionGraceDays} days)`);
+}
+
+// ============ UTILITIES ============
+function generateCaseNumber() {
+  const date = new Date();
+  const year = date.getFullYear().toString().slice(-2);
+  const month = (date.getMonth() + 1).toString().padStart(2, '0');
+  const random = Math.floor(Math.random() * 10000).toString().padStart(4, '0');
+  return `RUO-${year}${month}-${random}`;
+}
+
+function getCaseEmailAddress(caseNumber) {
+  return `${caseNumber.toLowerCase()}@${CONFIG.mailDomain}`;
+}
+
+// Report owners and moderators may read a case's documents and correspondence
+async function findAccessibleReport(reportId, user) {
+  const isModerator = ['moderator', 'admin'].includes(user.role);
+  const [reports] = await db.execute(
+    `SELECT r.*, d.name as district_name, d.email as district_email, d.language as district_language
+     FROM reports r LEFT JOIN districts d ON r.district_id = d.id
+     WHERE r.id = ?${isModerator ? '' : ' AND r.user_id = ?'}`,
+    isModerator ? [reportId] : [reportId, user.id]
+  );
+  return reports[0] || null;
+}
+
+// Documents live next to the originals in uploads/, which is never served statically
+function getDocumentDir(caseNumber) {
+  return path.join('uploads', caseNumber, 'documents');
+}
+
+// Removes a draft with all its files (drafts were never sent, so there is no case record to keep)
+async function deleteDraftReport(report) {
+  const [photos] = await db.execute(
+    'SELECT filepath, public_filepath FROM photos WHERE report_id = ?',
+    [report.id]
+  );
+
+  const [documents] = await db.execute(
+    'SELECT filepath FROM documents WHERE report_id = ?',
+    [report.id]
+  );
+
+  // Delete the report (photos will be deleted by CASCADE)
+  await db.execute(
+    'DELETE FROM reports WHERE id = ?',
+    [report.id]
+  );
+  await deleteOrphanedCamera(report.camera_id);
+
+  // Delete physical files
+  const files = [...photos.flatMap(p => [p.filepath, p.public_filepath]), ...documents.map(d => d.filepath)];
+  for (const file of files.filter(Boolean)) {
+    try {
+      await fs.unlink(file);
+    } catch (err) {
+      console.error(`Failed to delete file ${file}:`, err.message);
+    }
+  }
+
+  // Delete the report directory if it exists
+  const photoDir = path.join('uploads', report.case_number);
+  try {
+    await fs.rmdir(getDocumentDir(report.case_number)).catch(() => {});
+    await fs.rmdir(photoDir);
+  } catch (err) {
+    // Directory might not be empty or doesn't exist, ignore
+    console.log(`Could not remove directory ${photoDir}:`, err.message);
+  }
+}
+
+
+// ============ DISTRICTS ============
+// District directory (PLZ → Ordnungsamt). weg.li entries are refreshed after DISTRICT_CACHE_DAYS;
+// entries created, edited or imported by an admin (is_override) are never touched by the sync
+const DISTRICT_CSV_COLUMNS = ['zip', 'name', 'email', 'language', 'latitude', 'longitude', 'personal_email'];
+const ZIP_PATTERN = /^\d{5}$/;
+
+function isDistrictStale(district) {
+  if (district.is_override) return false;
+  if (!district.synced_at) return true;
+  return Date.now() - new Date(district.synced_at).getTime() > CONFIG.districts.cacheDays * 24 * 60 * 60 * 1000;
+}
+
+async function syncWegliDistrict(zip, cachedDistricts) {
+  console.log(`Fetching district for ZIP ${zip} from weg.li API`);
+
+  let district;
+  try {
+    const response = await axios.get(`https://www.weg.li/api/districts/${encodeURIComponent(zip)}`, {
+      headers: {
+        'X-API-KEY': CONFIG.wegliApiKey,
+        'Accept': 'application/json'
+      },
+      timeout: 5000
+    });
+    district = response.data;
+  } catch (error) {
+    if (error.response && error.response.status === 404) {
+      console.log(`No district found for ZIP ${zip}`);
+    } else {
+      // Keep using the cached entry until weg.li answers again
+      console.error('weg.li API error:', error.message);
+    }
+    return;
+  }
+
+  const values = [
+    district.name,
+    district.email,
+    district.latitude || null,
+    district.longitude || null,
+    district.personal_email || false
+  ];
+  const cached = cachedDistricts.find(d => d.source === 'wegli' && !d.is_override);
+
+  if (cached) {
+    await db.execute(
+      'UPDATE districts SET name = ?, email = ?, latitude = ?, longitude = ?, personal_email = ?, synced_at = NOW() WHERE id = ?',
+      [...values, cached.id]
+    );
+  } else {
+    await db.execute(
+      `INSERT INTO districts (name, email, latitude, longitude, personal_email, zip, source, synced_at)
+       VALUES (?, ?, ?, ?, ?, ?, 'wegli', NOW())
+       ON DUPLICATE KEY UPDATE synced_at = NOW()`,
+      [...values, zip]
+    );
+  }
+
+  console.log(`✅ District cached: ${district.name} (${district.email})`);
+}
+
+// All municipalities for a PLZ; weg.li is only asked when no admin-maintained entry exists
+async function getDistrictsByZip(zip) {
+  if (!zip) return [];
+
+  const selectDistricts = async () => {
+    const [districts] = await db.execute('SELECT * FROM districts WHERE zip = ? ORDER BY name', [zip]);
+    return districts;
+  };
+
+  const districts = await selectDistricts();
+  const hasOverrides = districts.some(d => d.is_override);
+
+  if (hasOverrides || (districts.length > 0 && !districts.some(isDistrictStale))) {
+    return districts;
+  }
+
+  if (!CONFIG.wegliApiKey) {
+    if (districts.length === 0) console.log('No weg.li API key, skipping district lookup');
+    return districts;
+  }
+
+  await syncWegliDistrict(zip, districts);
+  return selectDistricts();
+}
+
+// One match is assigned right away; with several municipalities the reporter picks one
+async function resolveDistrict(zip) {
+  const districts = await getDistrictsByZip(zip);
+
+  return {
+    districtId: districts.length === 1 ? districts[0].id : null,
+    districtChoices: districts.length > 1 ? districts.map(toDistrictChoice) : []
+  };
+}
+
+function toDistrictChoice(district) {
+  return { id: district.id, name: district.name, email: district.email, zip: district.zip };
+}
+
+// Minimal CSV (RFC 4180 quoting); the delimiter (comma or semicolon) is taken from the header line
+function parseCsv(text) {
+  const content = text.replace(/^\uFEFF/, '');
+  const firstLine = content.split(/\r?\n/, 1)[0];
+  const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+function toCsvValue(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",;\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Checks and normalizes admin input for a district; returns { error } or { district }
+function validateDistrictInput(input) {
+  const zip = String(input.zip || '').trim();
+  const name = String(input.name || '').trim();
+  const email = input.email ? String(input.email).trim() : null;
+  const language = input.language || 'de';
+
+  if (!ZIP_PATTERN.test(zip)) return { error: 'Invalid zip' };
+  if (!name) return { error: 'name required' };
+  if (email && !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(email)) return { error: 'Invalid email' };
+  if (!TEMPLATE_LANGUAGES.includes(language)) return { error: 'Invalid language' };
+
+  const latitude = input.latitude === '' || input.latitude == null ? null : parseFloat(input.latitude);
+  const longitude = input.longitude === '' || input.longitude == null ? null : parseFloat(input.longitude);
+  if (Number.isNaN(latitude) || Number.isNaN(longitude)) return { error: 'Invalid coordinates' };
+
+  const personalEmail = input.personal_email === true || ['1', 'true', 'ja'].includes(String(input.personal_email).toLowerCase());
+
+  return { district: { zip, name, email, language, latitude, longitude, personalEmail } };
+}
+
+// ============ SUPERVISORY AUTHORITIES ============
+// State data protection authorities (Art. 77 DSGVO), competent for private-sector CCTV.
+// Keyed by the ISO 3166-2 suffix Nominatim returns as "ISO3166-2-lvl4" (e.g. DE-BY).
+const STATE_DPAS = {
+  BW: { state: 'Baden-Württemberg', name: 'Der Landesbeauftragte für den Datenschutz und die Informationsfreiheit Baden-Württemberg', email: 'poststelle@lfdi.bwl.de' },
+  BY: { state: 'Bayern', name: 'Bayerisches Landesamt für Datenschutzaufsicht', email: 'poststelle@lda.bayern.de' },
+  BE: { state: 'Berlin', name: 'Berliner Beauftragte für Datenschutz und Informationsfreiheit', email: 'mailbox@datenschutz-berlin.de' },
+  BB: { state: 'Brandenburg', name: 'Die Landesbeauftragte für den Datenschutz und für das Recht auf Akteneinsicht Brandenburg', email: 'poststelle@lda.brandenburg.de' },
+  HB: { state: 'Bremen', name: 'Die Landesbeauftragte für Datenschutz und Informationsfreiheit der Freien Hansestadt Bremen', email: 'office@datenschutz.bremen.de' },
+  HH: { state: 'Hamburg', name: 'Der Hamburgische Beauftragte für Datenschutz und Informationsfreiheit', email: 'mailbox@datenschutz.hamburg.de' },
+  HE: { state: 'Hessen', name: 'Der Hessische Beauftragte für Datenschutz und Informationsfreiheit', email: 'poststelle@datenschutz.hessen.de' },
+  MV: { state: 'Mecklenburg-Vorpommern', name: 'Der Landesbeauftragte für Datenschutz und Informationsfreiheit Mecklenburg-Vorpommern', email: 'info@datenschutz-mv.de' },
+  NI: { state: 'Niedersachsen', name: 'Die Landesbeauftragte für den Datenschutz Niedersachsen', email: 'poststelle@lfd.niedersachsen.de' },
+  NW: { state: 'Nordrhein-Westfalen', name: 'Landesbeauftragte für Datenschutz und Informationsfreiheit Nordrhein-Westfalen', email: 'poststelle@ldi.nrw.de' },
+  RP: { state: 'Rheinland-Pfalz', name: 'Der Landesbeauftragte für den Datenschutz und die Informationsfreiheit Rheinland-Pfalz', email: 'poststelle@datenschutz.rlp.de' },
+  SL: { state: 'Saarland', name: 'Unabhängiges Datenschutzzentrum Saarland', email: 'poststelle@datenschutz.saarland.de' },
+  SN: { state: 'Sachsen', name: 'Die Sächsische Datenschutz- und Transparenzbeauftragte', email: 'saechsdsb@slt.sachsen.de' },
+  ST: { state: 'Sachsen-Anhalt', name: 'Landesbeauftragte für den Datenschutz Sachsen-Anhalt', email: 'poststelle@lfd.sachsen-anhalt.de' },
+  SH: { state: 'Schleswig-Holstein', name: 'Unabhängiges Landeszentrum für Datenschutz Schleswig-Holstein', email: 'mail@datenschutzzentrum.de' },
+  TH: { state: 'Thüringen', name: 'Thüringer Landesbeauftragter für den Datenschutz und die Informationsfreiheit', email: 'poststelle@datenschutz.thueringen.de' }
+};
+
+const RECIPIENT_TYPES = ['district', 'dpa'];
+
+function getStateCode(address) {
+  if (!address) return null;
+
+  const isoCode = (address['ISO3166-2-lvl4'] || '').replace(/^DE-/, '');
+  if (STATE_DPAS[isoCode]) return isoCode;
+
+  // Older Nominatim/Photon responses only carry the state name
+  const entry = Object.entries(STATE_DPAS).find(([, dpa]) => dpa.state === address.state);
+  return entry ? entry[0] : null;
+}
+
+function getSupervisoryAuthority(stateCode) {
+  return STATE_DPAS[stateCode] ? { code: stateCode, ...STATE_DPAS[stateCode] } : null;
+}
+
+// ============ GEOCODING ============
+// Reverse geocoding: cache (rounded coordinates) → online provider → offline PLZ polygons
+const GEOCODE_CACHE_PRECISION = 4; // ~11 m
+
+const GEOCODERS = {
+  nominatim: {
+    defaultUrl: 'https://nominatim.openstreetmap.org',
+    async reverse(lat, lng) {
+      const response = await axios.get(`${getGeocoderUrl()}/reverse`, {
+        params: {
+          lat,
+          lon: lng,
+          format: 'json',
+          addressdetails: 1,
+          'accept-language': 'de'
+        },
+        headers: { 'User-Agent': CONFIG.geocoding.userAgent },
+        timeout: CONFIG.geocoding.timeout
+      });
+
+      if (response.data.error || !response.data.address) {
+        throw new Error(response.data.error || 'No address in response');
+      }
+
+      const { address, display_name } = response.data;
+      return {
+        address: display_name,
+        zip: address.postcode || null,
+        city: address.city || address.town || address.village || null,
+        state: getStateCode(address)
+      };
+    }
+  },
+  photon: {
+    defaultUrl: 'https://photon.komoot.io',
+    async reverse(lat, lng) {
+      const response = await axios.get(`${getGeocoderUrl()}/reverse`, {
+        params: { lat, lon: lng, lang: 'de' },
+        headers: { 'User-Agent': CONFIG.geocoding.userAgent },
+        timeout: CONFIG.geocoding.timeout
+      });
+
+      const feature = response.data.features?.[0];
+      if (!feature) {
+        throw new Error('No address in response');
+      }
+
+      const props = feature.properties;
+      const street = [props.street || props.name, props.housenumber].filter(Boolean).join(' ');
+      const place = [props.postcode, props.city || props.town || props.village].filter(Boolean).join(' ');
+      return {
+        address: [street, place, props.state, props.country].filter(Boolean).join(', '),
+        zip: props.postcode || null,
+        city: props.city || props.town || props.village || null,
+        state: getStateCode({ state: props.state })
+      };
+    }
+  }
+};
+
+let geocoderQueue = Promise.resolve();
+let lastGeocoderRequest = 0;
+let postcodePolygons = null;
+
+function getGeocoderUrl() {
+  return (CONFIG.geocoding.url || GEOCODERS[CONFIG.geocoding.provider].defaultUrl).replace(/\/+$/, '');
+}
+
+// Requests run one after another with a minimum gap (Nominatim usage policy)
+function throttleGeocoder(request) {
+  const minInterval = CONFIG.geocoding.minInterval ?? (getGeocoderUrl() === GEOCODERS.nominatim.defaultUrl ? 1000 : 0);
+
+  const run = geocoderQueue.then(async () => {
+    const wait = lastGeocoderRequest + minInterval - Date.now();
+    if (wait > 0) {
+      await new Promise(resolve => setTimeout(resolve, wait));
+    }
+    lastGeocoderRequest = Date.now();
+    return request();
+  });
+
+  geocoderQueue = run.catch(() => {});
+  return run;
+}
+
+function getCacheKey(lat, lng) {
+  return [Number(lat).toFixed(GEOCODE_CACHE_PRECISION), Number(lng).toFixed(GEOCODE_CACHE_PRECISION)];
+}
+
+async function getCachedLocation(lat, lng) {
+  const [rows] = await db.execute(
+    `SELECT address, zip, city, state FROM geocode_cache
+     WHERE lat_key = ? AND lng_key = ? AND created_at > DATE_SUB(NOW(), INTERVAL ? DAY)`,
+    [...getCacheKey(lat, lng), CONFIG.geocoding.cacheDays]
+  );
+  return rows[0] ? { ...rows[0], source: 'cache' } : null;
+}
+
+async function cacheLocation(lat, lng, location) {
+  await db.execute(
+    `INSERT INTO geocode_cache (lat_key, lng_key, provider, address, zip, city, state) VALUES (?, ?, ?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE provider = VALUES(provider), address = VALUES(address), zip = VALUES(zip),
+       city = VALUES(city), state = VALUES(state), created_at = NOW()`,
+    [...getCacheKey(lat, lng), CONFIG.geocoding.provider, location.address, location.zip, location.city, location.state]
+  );
+}
+
+// PLZ polygons (GeoJSON, e.g. plz-5stellig.geojson from suche-postleitzahl.org), loaded on first use
+async function loadPostcodePolygons() {
+  if (postcodePolygons) return postcodePolygons;
+
+  try {
+    const geojson = JSON.parse(await fs.readFile(CONFIG.geocoding.postcodeFile, 'utf8'));
+
+    postcodePolygons = geojson.features
+      .filter(feature => feature.geometry && ['Polygon', 'MultiPolygon'].includes(feature.geometry.type))
+      .map(feature => {
+        const polygons = feature.geometry.type === 'Polygon' ? [feature.geometry.coordinates] : feature.geometry.coordinates;
+        const props = feature.properties || {};
+        const zip = String(props.plz || props.postcode || props.PLZ || '');
+
+        const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+        for (const polygon of polygons) {
+          for (const [x, y] of polygon[0]) {
+            bbox[0] = Math.min(bbox[0], x);
+            bbox[1] = Math.min(bbox[1], y);
+            bbox[2] = Math.max(bbox[2], x);
+            bbox[3] = Math.max(bbox[3], y);
+          }
+        }
+
+        return {
+          zip,
+          // "85764 Oberschleißheim" → city
+          city: (props.note || '').replace(zip, '').trim() || props.city || null,
+          polygons,
+          bbox
+        };
+      })
+      .filter(entry => entry.zip);
+
+    console.log(`✅ ${postcodePolygons.length} PLZ polygons loaded for offline geocoding`);
+  } catch (error) {
+    console.error(`❌ No PLZ polygons (${CONFIG.geocoding.postcodeFile}), offline geocoding disabled:`, error.message);
+    postcodePolygons = [];
+  }
+
+  return postcodePolygons;
+}
+
+function isInRing(lng, lat, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > lat) !== (yj > lat) && lng < (xj - xi) * (lat - yi) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+async function findPostcodeOffline(lat, lng) {
+  const entries = await loadPostcodePolygons();
+
+  const match = entries.find(entry =>
+    lng >= entry.bbox[0] && lat >= entry.bbox[1] && lng <= entry.bbox[2] && lat <= entry.bbox[3] &&
+    entry.polygons.some(([outer, ...holes]) => isInRing(lng, lat, outer) && !holes.some(hole => isInRing(lng, lat, hole)))
+  );
+
+  return match ? { address: null, zip: match.zip, city: match.city, state: null, source: 'offline' } : null;
+}
+
+async function geocodeLocation(lat, lng) {
+  try {
+    const cached = await getCachedLocation(lat, lng);
+    if (cached) return cached;
+  } catch (error) {
+    console.error('Geocode cache error:', error.message);
+  }
+
+  const geocoder = GEOCODERS[CONFIG.geocoding.provider];
+
+  if (geocoder) {
+    try {
+      const location = await throttleGeocoder(() => geocoder.reverse(lat, lng));
+      await cacheLocation(lat, lng, location).catch(error => console.error('Geocode cache error:', error.message));
+      return { ...location, source: CONFIG.geocoding.provider };
+    } catch (error) {
+      console.error(`⚠️  Geocoding via ${CONFIG.geocoding.provider} failed for ${lat},${lng}:`, error.message);
+    }
+  }
+
+  // Not cached, so the next upload tries the online provider again
+  const offline = await findPostcodeOffline(lat, lng);
+  if (!offline) {
+    console.log(`⚠️  No address or PLZ found for ${lat},${lng}`);
+  }
+  return offline;
+}
+
+// ============ REDACTION ============
+// Regions are stored normalized (0..1) relative to the EXIF-rotated image
+// Detection runs in redaction-worker.js: opencv-wasm blocks its thread for seconds per photo
+let redactionWorker = null;
+let redactionJobId = 0;
+const redactionJobs = new Map();
+
+function getRedactionWorker() {
+  if (redactionWorker) return redactionWorker;
+
+  const worker = new Worker(path.join(__dirname, 'redaction-worker.js'), {
+    workerData: {
+      cascadeDir: path.resolve(CONFIG.redaction.cascadeDir),
+      cascades: CONFIG.redaction.cascades,
+      maxDetectionSize: CONFIG.redaction.maxDetectionSize
+    }
+  });
+
+  worker.on('message', ({ id, regions, error }) => {
+    const job = redactionJobs.get(id);
+    if (!job) return;
+    redactionJobs.delete(id);
+    if (error) job.reject(new Error(error));
+    else job.resolve(regions);
+  });
+
+  // A crashed worker fails its open jobs; the next detection starts a new one
+  const fail = error => {
+    if (redactionWorker === worker) redactionWorker = null;
+    for (const job of redactionJobs.values()) job.reject(error);
+    redactionJobs.clear();
+  };
+  worker.on('error', fail);
+  worker.on('exit', code => fail(new Error(`Redaction worker exited with code ${code}`)));
+
+  // Idle workers don't keep the process alive
+  worker.unref();
+  redactionWorker = worker;
+  return worker;
+}
+
+function runRedactionJob(imagePath) {
+  return new Promise((resolve, reject) => {
+    const id = ++redactionJobId;
+    redactionJobs.set(id, { resolve, reject });
+    getRedactionWorker().postMessage({ id, imagePath });
+  });
+}
+
+function parseJsonColumn(value) {
+  if (!value) return [];
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+function isValidRegion(region) {
+  return region &&
+    ['x', 'y', 'width', 'height'].every(k => typeof region[k] === 'number' && region[k] >= 0 && region[k] <= 1) &&
+    region.width > 0 && region.height > 0;
+}
+
+// Returns null when detection isn't possible: the photo then stays without public copy instead of
+// being published unblurred (fails closed). Only REDACTION_ENABLED=false skips detection on purpose
+async function detectSensitiveRegions(imagePath) {
+  if (!CONFIG.redaction.enabled) return [];
+
+  try {
+    const regions = await runRedactionJob(imagePath);
+    if (regions.length > 0) {
+      console.log(`🔍 ${regions.length} region(s) to blur detected in ${imagePath}`);
+    }
+    return regions;
+  } catch (error) {
+    console.error(`Redaction detection failed for ${imagePath}:`, error.message);
+    return null;
+  }
+}
+
+async function blurRegions(imageBuffer, regions) {
+  if (regions.length === 0) return imageBuffer;
+
+  const { width, height } = await sharp(imageBuffer).metadata();
+
+  const composites = await Promise.all(regions.map(async region => {
+    // Pad detections a little so hairlines and plate frames are covered too
+    const padX = region.width * 0.15;
+    const padY = region.height * 0.15;
+    const left = Math.max(0, Math.floor((region.x - padX) * width));
+    const top = Math.max(0, Math.floor((region.y - padY) * height));
+    const areaWidth = Math.min(width - left, Math.ceil((region.width + 2 * padX) * width));
+    const areaHeight = Math.min(height - top, Math.ceil((region.height + 2 * padY) * height));
+
+    if (areaWidth < 1 || areaHeight < 1) return null;
+
+    // Pixelate first, then blur: not reversible like a light gaussian blur
+    const pixelated = await sharp(imageBuffer)
+      .extract({ left, top, width: areaWidth, height: areaHeight })
+      .resize(Math.max(1, Math.round(areaWidth / 16)), Math.max(1, Math.round(areaHeight / 16)))
+      .toBuffer();
+    const input = await sharp(pixelated)
+      .resize(areaWidth, areaHeight, { kernel: 'nearest' })
+      .blur(Math.min(100, Math.max(3, Math.min(areaWidth, areaHeight) / 10)))
+      .toBuffer();
+
+    return { input, left, top };
+  }));
+
+  return sharp(imageBuffer).composite(composites.filter(Boolean)).toBuffer();
+}
+
+// ============ MEDIA ============
+function runFfmpeg(args) {
+  return new Promise((resolve, reject) => {
+    execFile(CONFIG.media.ffmpegPath, args, { timeout: 5 * 60 * 1000 }, (error, stdout, stderr) => {
+      if (error) {
+        error.message = `${error.message} ${stderr || ''}`.trim();
+        return reject(error);
+      }
+      resolve();
+    });
+  });
+}
+
+async function createPublicDerivative(inputPath, mediaType, regions = []) {
+  await fs.mkdir(CONFIG.media.dir, { recursive: true });
+  const name = crypto.randomBytes(16).toString('hex');
+
+  try {
+    if (mediaType === 'video') {
+      const outputPath = path.join(CONFIG.media.dir, `${name}${path.extname(inputPath).toLowerCase() || '.mp4'}`);
+      // Copy only audio/video streams: data tracks (e.g. Apple mebx) can carry GPS as well
+      await runFfmpeg([
+        '-y', '-v', 'error', '-i', inputPath,
+        '-map', '0:v', '-map', '0:a?',
+        '-map_metadata', '-1', '-map_metadata:s:v', '-1', '-map_metadata:s:a', '-1',
+        '-map_chapters', '-1',
+        '-c', 'copy', '-fflags', '+bitexact',
+        outputPath
+      ]);
+      return outputPath;
+    }
+
+    // sharp drops EXIF/XMP/IPTC unless withMetadata() is used; rotate() applies the EXIF orientation first
+    const outputPath = path.join(CONFIG.media.dir, `${name}.jpg`);
+    const rotated = await sharp(inputPath).rotate().png().toBuffer();
+    const redacted = await blurRegions(rotated, regions);
+    await sharp(redacted).jpeg({ quality: 85 }).toFile(outputPath);
+    return outputPath;
+  } catch (error) {
+    console.error(`⚠️  Could not create metadata-free copy of ${inputPath}:`, error.message);
+    return null;
+  }
+}
+
+function getMediaUrl(photo) {
+  return photo.public_filepath ? `/media/${path.basename(photo.public_filepath)}` : null;
+}
+
+let mediaBackfillRunning = false;
+
+// Creates the missing public copies, one photo at a time, outside of any upload request; new uploads
+// trigger a run right away. The detection itself runs in the redaction worker thread
+async function backfillPublicMedia() {
+  if (mediaBackfillRunning) return;
+  mediaBackfillRunning = true;
+
+  try {
+    const [photos] = await db.execute(
+      'SELECT id, filepath, media_type, auto_blur_regions, manual_blur_regions FROM photos WHERE public_filepath IS NULL'
+    );
+
+    let created = 0;
+    let withheld = 0;
+    for (const photo of photos) {
+      try {
+        await fs.access(photo.filepath);
+      } catch (err) {
+        continue;
+      }
+
+      let autoRegions = photo.auto_blur_regions !== null ? parseJsonColumn(photo.auto_blur_regions) : null;
+      if (photo.media_type !== 'photo') {
+        autoRegions = [];
+      } else if (autoRegions === null) {
+        autoRegions = await detectSensitiveRegions(photo.filepath);
+      }
+
+      if (autoRegions === null) {
+        withheld++;
+        continue;
+      }
+
+      const regions = [...autoRegions, ...parseJsonColumn(photo.manual_blur_regions)];
+      const publicPath = await createPublicDerivative(photo.filepath, photo.media_type, regions);
+      if (publicPath) {
+        await db.execute(
+          'UPDATE photos SET public_filepath = ?, auto_blur_regions = ? WHERE id = ?',
+          [publicPath, JSON.stringify(autoRegions), photo.id]
+        );
+        created++;
+      }
+    }
+
+    if (created > 0) {
+      console.log(`✅ Created ${created} metadata-free media copies`);
+    }
+    if (withheld > 0) {
+      console.error(`⚠️  ${withheld} photo(s) not published: face/plate detection unavailable`);
+    }
+  } catch (error) {
+    console.error('Media backfill error:', error.message);
+  } finally {
+    mediaBackfillRunning = false;
+  }
+}
+
+function startMediaWorker() {
+  backfillPublicMedia();
+  setInterval(backfillPublicMedia, CONFIG.redaction.retryInterval);
+}
+
+// ============ OUTBOX ============
+// Mails are queued in email_outbox and sent by a worker, so an unreachable mail server
+// never loses a mail or fails a request; failed attempts are retried with exponential backoff
+const MAIL_TRANSPORTS = ['smtp', 'file', 'json'];
+const MAX_RETRY_DELAY_SECONDS = 6 * 60 * 60;
+const OUTBOX_BATCH_SIZE = 20;
+
+let mailTransport = null;
+let outboxRunning = false;
+
+function isMailEnabled() {
+  return MAIL_TRANSPORTS.includes(CONFIG.mail.transport) && (CONFIG.mail.transport !== 'smtp' || !!CONFIG.smtp.host);
+}
+
+function createMailTransport() {
+  if (CONFIG.mail.transport === 'file') {
+    return nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+  }
+  if (CONFIG.mail.transport === 'json') {
+    return nodemailer.createTransport({ jsonTransport: true });
+  }
+  return nodemailer.createTransport(CONFIG.smtp);
+}
+
+async function deliverMail(message) {
+  mailTransport = mailTransport || createMailTransport();
+  const info = await mailTransport.sendMail(message);
+
+  if (CONFIG.mail.transport !== 'smtp') {
+    await fs.mkdir(CONFIG.mail.outputDir, { recursive: true });
+    const name = `${Date.now()}-${message.messageId.replace(/[^a-zA-Z0-9.-]/g, '')}.${CONFIG.mail.transport === 'file' ? 'eml' : 'json'}`;
+    await fs.writeFile(path.join(CONFIG.mail.outputDir, name), info.message);
+  }
+
+  return info;
+}
+
+// Queues a mail; attachments are files on disk ({ filename, path, size })
+async function queueEmail({
+  reportId = null, emailType, recipientType = null, from, to, replyTo = null, subject, text,
+  attachments = [], inReplyTo = null, userId = null, logToThread = true, connection = db
+}) {
+  const messageId = `<${crypto.randomUUID()}@${CONFIG.mailDomain}>`;
+
+  const [result] = await connection.execute(
+    `INSERT INTO email_outbox
+     (report_id, email_type, recipient_type, log_to_thread, from_email, to_email, reply_to, subject, body,
+      message_id, in_reply_to, attachments, created_by_user_id)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      reportId, emailType, recipientType, logToThread, from, to, replyTo, subject, text,
+      messageId, inReplyTo, JSON.stringify(attachments), userId
+    ]
+  );
+
+  // Inside a transaction the caller kicks the worker after the commit
+  if (connection === db) {
+    setImmediate(processOutbox);
+  }
+  return { id: result.insertId, messageId };
+}
+
+async function deliverOutboxEntry(entry) {
+  // Claim the entry so overlapping runs can't send it twice
+  const [claimed] = await db.execute(
+    'UPDATE email_outbox SET status = "sending", attempts = attempts + 1 WHERE id = ? AND status = "pending"',
+    [entry.id]
+  );
+
+  if (claimed.affectedRows === 0) {
+    return;
+  }
+
+  const attachments = parseJsonColumn(entry.attachments) || [];
+
+  try {
+    await deliverMail({
+      from: `"RechtUndOrdnung" <${entry.from_email}>`,
+      to: entry.to_email,
+      replyTo: entry.reply_to || undefined,
+      subject: entry.subject,
+      text: entry.body,
+      attachments: attachments.map(attachment => ({ filename: attachment.filename, path: attachment.path })),
+      messageId: entry.message_id,
+      inReplyTo: entry.in_reply_to || undefined,
+      references: entry.in_reply_to || undefined
+    });
+  } catch (error) {
+    const attempts = entry.attempts + 1;
+    const failed = attempts >= CONFIG.mail.maxAttempts;
+    const delay = Math.min(CONFIG.mail.retryBaseDelay * 2 ** (attempts - 1), MAX_RETRY_DELAY_SECONDS);
+
+    await db.execute(
+      'UPDATE email_outbox SET status = ?, last_error = ?, next_attempt_at = DATE_ADD(NOW(), INTERVAL ? SECOND) WHERE id = ?',
+      [failed ? 'failed' : 'pending', String(error.message).slice(0, 1000), delay, entry.id]
+    );
+    console.error(`⚠️  Mail ${entry.id} to ${entry.to_email} failed (attempt ${attempts}${failed ? ', giving up' : `, retry in ${delay}s`}):`, error.message);
+    return;
+  }
+
+  await db.execute(
+    'UPDATE email_outbox SET status = "sent", sent_at = NOW(), last_error = NULL WHERE id = ?',
+    [entry.id]
+  );
+
+  // The correspondence thread shows exactly what went out
+  if (entry.report_id && entry.log_to_thread) {
+    await db.execute(
+      `INSERT INTO email_logs
+       (report_id, direction, email_type, recipient_type, from_email, to_email, subject, body, message_id, in_reply_to, attachments, sent_by_user_id)
+       VALUES (?, "outbound", ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        entry.report_id, entry.email_type, entry.recipient_type, entry.from_email, entry.to_email,
+        entry.subject, entry.body, entry.message_id, entry.in_reply_to,
+        JSON.stringify(attachments.map(attachment => ({ filename: attachment.filename, size: attachment.size || null }))),
+        entry.created_by_user_id
+      ]
+    );
+  }
+}
+
+async function processOutbox() {
+  if (outboxRunning || !isMailEnabled()) return;
+  outboxRunning = true;
+
+  try {
+    // Failed entries move their next attempt into the future, so this loop ends
+    for (;;) {
+      const [entries] = await db.query(
+        `SELECT * FROM email_outbox WHERE status = 'pending' AND next_attempt_at <= NOW()
+         ORDER BY next_attempt_at, id LIMIT ?`,
+        [OUTBOX_BATCH_SIZE]
+      );
+
+      if (entries.length === 0) break;
+
+      for (const entry of entries) {
+        await deliverOutboxEntry(entry);
+      }
+    }
+  } catch (error) {
+    console.error('Outbox error:', error);
+  } finally {
+    outboxRunning = false;
+  }
+}
+
+async function startOutboxWorker() {
+  if (!MAIL_TRANSPORTS.includes(CONFIG.mail.transport)) {
+    console.log(`⚠️  Unknown MAIL_TRANSPORT "${CONFIG.mail.transport}", outgoing mails stay in the outbox`);
+    return;
+  }
+
+  if (!isMailEnabled()) {
+    console.log('ℹ️  No SMTP server configured, outgoing mails stay in the outbox');
+    return;
+  }
+
+  try {
+    // Entries claimed by a worker that died mid-send go back into the queue
+    await db.execute('UPDATE email_outbox SET status = "pending" WHERE status = "sending"');
+  } catch (error) {
+    console.error('Outbox reset error:', error);
+  }
+
+  processOutbox();
+  setInterval(processOutbox, CONFIG.mail.workerInterval);
+  console.log(`✅ Outbox worker every ${CONFIG.mail.workerInterval / 1000}s (transport: ${CONFIG.mail.transport})`);
+}
+
+// ============ DOSSIER ============
+// Legal basis printed in the complaint PDF, keyed by the violation types offered in the UI
+const VIOLATION_TYPES = {
+  'Fehlende DSGVO-Beschilderung': {
+    legalBasis: 'Art. 13 DSGVO (Informationspflicht), § 4 Abs. 2 BDSG (Erkennbarmachung der Videoüberwachung)',
+    en: {
+      label: 'Missing GDPR signage',
+      legalBasis: 'Art. 13 GDPR (duty to inform), Sec. 4 (2) BDSG (video surveillance must be made recognisable)'
+    }
+  },
+  'Rechtswidrige Kameraplatzierung': {
+    legalBasis: 'Art. 6 Abs. 1 lit. f DSGVO (Interessenabwägung), § 4 Abs. 1 BDSG (Beobachtung öffentlich zugänglicher Räume)',
+    en: {
+      label: 'Unlawful camera placement',
+      legalBasis: 'Art. 6 (1) (f) GDPR (balancing of interests), Sec. 4 (1) BDSG (monitoring of publicly accessible areas)'
+    }
+  },
+  'Keine Rechtsgrundlage': {
+    legalBasis: 'Art. 6 Abs. 1 DSGVO (Rechtmäßigkeit der Verarbeitung), § 4 Abs. 1 BDSG',
+    en: {
+      label: 'No legal basis',
+      legalBasis: 'Art. 6 (1) GDPR (lawfulness of processing), Sec. 4 (1) BDSG'
+    }
+  },
+  'Fehlende Kontaktdaten': {
+    legalBasis: 'Art. 13 Abs. 1 lit. a und b DSGVO (Name und Kontaktdaten des Verantwortlichen), § 4 Abs. 2 BDSG',
+    en: {
+      label: 'Missing contact details',
+      legalBasis: 'Art. 13 (1) (a) and (b) GDPR (identity and contact details of the controller), Sec. 4 (2) BDSG'
+    }
+  },
+  'Unverhältnismäßiger Umfang': {
+    legalBasis: 'Art. 5 Abs. 1 lit. c DSGVO (Datenminimierung), Art. 6 Abs. 1 lit. f DSGVO, § 4 Abs. 1 BDSG',
+    en: {
+      label: 'Disproportionate scope',
+      legalBasis: 'Art. 5 (1) (c) GDPR (data minimisation), Art. 6 (1) (f) GDPR, Sec. 4 (1) BDSG'
+    }
+  }
+};
+
+async function renderMapSnippet(lat, lng) {
+  const zoom = CONFIG.map.zoom;
+  const n = 2 ** zoom;
+  const latRad = lat * Math.PI / 180;
+  const tileX = (lng + 180) / 360 * n;
+  const tileY = (1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * n;
+  const startX = Math.floor(tileX) - 1;
+  const startY = Math.floor(tileY) - 1;
+
+  // 3x3 tiles around the location
+  const tiles = [];
+  for (let dy = 0; dy < 3; dy++) {
+    for (let dx = 0; dx < 3; dx++) {
+      const url = CONFIG.map.tileUrl
+        .replace('{z}', zoom)
+        .replace('{x}', startX + dx)
+        .replace('{y}', startY + dy);
+      tiles.push(axios.get(url, {
+        responseType: 'arraybuffer',
+        headers: { 'User-Agent': 'RUO-Platform/1.0' },
+        timeout: 5000
+      }).then(response => ({ input: Buffer.from(response.data), left: dx * 256, top: dy * 256 })));
+    }
+  }
+
+  const markerX = Math.round((tileX - startX) * 256);
+  const markerY = Math.round((tileY - startY) * 256);
+  const marker = Buffer.from(
+    `<svg width="768" height="768"><circle cx="${markerX}" cy="${markerY}" r="10" fill="#dc3545" stroke="white" stroke-width="3"/></svg>`
+  );
+
+  const map = await sharp({ create: { width: 768, height: 768, channels: 3, background: '#e9ecef' } })
+    .composite([...await Promise.all(tiles), { input: marker, left: 0, top: 0 }])
+    .png()
+    .toBuffer();
+
+  return sharp(map)
+    .extract({
+      left: Math.min(768 - 600, Math.max(0, markerX - 300)),
+      top: Math.min(768 - 360, Math.max(0, markerY - 180)),
+      width: 600,
+      height: 360
+    })
+    .png()
+    .toBuffer();
+}
+
+function formatDateTime(value) {
+  return value ? new Date(value).toLocaleString('de-DE', { timeZone: 'Europe/Berlin' }) : 'unbekannt';
+}
+
+function renderDossierPdf({ report, district, reporter, photos, images, mapImage }) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `Beschwerde ${report.case_number}` } });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const violation = VIOLATION_TYPES[report.violation_type];
+
+    doc.fontSize(18).font('Helvetica-Bold').text('Beschwerde über rechtswidrige Videoüberwachung');
+    doc.moveDown(0.3);
+    doc.fontSize(11).font('Helvetica').text(`Aktenzeichen: ${report.case_number}`);
+    doc.text(`Erstellt am: ${formatDateTime(new Date())}`);
+    doc.text(`Antwortadresse: ${getCaseEmailAddress(report.case_number)}`);
+    doc.moveDown();
+
+    doc.fontSize(13).font('Helvetica-Bold').text('Empfänger');
+    doc.fontSize(11).font('Helvetica').text(`${district.name || 'Zuständige Behörde'}${district.email ? ` <${district.email}>` : ''}`);
+    doc.moveDown();
+
+    doc.fontSize(13).font('Helvetica-Bold').text('Standort');
+    doc.fontSize(11).font('Helvetica').text(report.location_address || 'Keine Adresse verfügbar');
+    if (report.location_zip) doc.text(`PLZ: ${report.location_zip}`);
+    if (report.location_lat && report.location_lng) {
+      doc.text(`Koordinaten: ${parseFloat(report.location_lat).toFixed(6)}, ${parseFloat(report.location_lng).toFixed(6)}`);
+    }
+    if (mapImage) {
+      doc.moveDown(0.5);
+      doc.image(mapImage, { width: 400 });
+      doc.fontSize(8).fillColor('gray').text('Kartendaten © OpenStreetMap-Mitwirkende').fillColor('black');
+    }
+    doc.moveDown();
+
+    doc.fontSize(13).font('Helvetica-Bold').text('Verstoß');
+    doc.fontSize(11).font('Helvetica').text(report.violation_type || 'Nicht angegeben');
+    if (violation) {
+      doc.text(`Rechtsgrundlage: ${violation.legalBasis}`);
+    }
+    if (report.notes) {
+      doc.moveDown(0.5);
+      doc.font('Helvetica-Bold').text('Hinweise der meldenden Person:');
+      doc.font('Helvetica').text(report.notes);
+    }
+    doc.moveDown();
+
+    doc.fontSize(13).font('Helvetica-Bold').text('Erklärung der meldenden Person');
+    doc.fontSize(11).font('Helvetica').text(
+      'Ich versichere, dass die Angaben in dieser Beschwerde nach bestem Wissen und Gewissen gemacht wurden ' +
+      'und die beigefügten Aufnahmen von mir am angegebenen Standort angefertigt wurden. Ich bitte um Prüfung ' +
+      'des Sachverhalts und um Mitteilung über das Ergebnis unter Angabe des Aktenzeichens.'
+    );
+    doc.moveDown(0.5);
+    doc.text(`${reporter?.name || 'Meldende Person (über RechtUndOrdnung)'}, ${formatDateTime(new Date())}`);
+
+    // Evidence: one photo per page with capture time and GPS
+    photos.forEach((photo, index) => {
+      doc.addPage();
+      doc.fontSize(13).font('Helvetica-Bold').text(`Beweismittel ${index + 1}: ${photo.filename}`);
+      doc.fontSize(10).font('Helvetica')
+        .text(`Aufnahmezeitpunkt: ${formatDateTime(photo.taken_at)}`)
+        .text(`GPS: ${photo.lat && photo.lng ? `${parseFloat(photo.lat).toFixed(6)}, ${parseFloat(photo.lng).toFixed(6)}` : 'nicht vorhanden'}`);
+      doc.moveDown(0.5);
+
+      if (images[index]) {
+        doc.image(images[index], { fit: [495, 600], align: 'center' });
+      } else {
+        doc.text(photo.media_type === 'video' ? 'Video - siehe Anhang der E-Mail.' : 'Vorschau nicht verfügbar - siehe Anhang der E-Mail.');
+      }
+    });
+
+    doc.end();
+  });
+}
+
+async function buildDossier(report, photos, district) {
+  const [users] = await db.execute(
+    'SELECT name FROM users WHERE id = ?',
+    [report.user_id]
+  );
+
+  let mapImage = null;
+  if (report.location_lat && report.location_lng) {
+    try {
+      mapImage = await renderMapSnippet(parseFloat(report.location_lat), parseFloat(report.location_lng));
+    } catch (error) {
+      console.error('Map snippet error:', error.message);
+    }
+  }
+
+  // pdfkit only embeds JPEG/PNG, so normalize every photo (and apply the EXIF orientation)
+  const images = await Promise.all(photos.map(photo => photo.media_type === 'photo'
+    ? sharp(photo.filepath)
+      .rotate()
+      .resize(1600, 1600, { fit: 'inside', withoutEnlargement: true })
+      .jpeg({ quality: 80 })
+      .toBuffer()
+      .catch(error => {
+        console.error(`Dossier image error for ${photo.filepath}:`, error.message);
+        return null;
+      })
+    : null));
+
+  const buffer = await renderDossierPdf({ report, district, reporter: users[0], photos, images, mapImage });
+  return { filename: `Beschwerde-${report.case_number}.pdf`, buffer };
+}
+
+async function storeDossier(report, dossier, notes = 'Beschwerde-Dossier (automatisch erzeugt)', connection = db) {
+  const docDir = getDocumentDir(report.case_number);
+  await fs.mkdir(docDir, { recursive: true });
+  const filepath = path.join(docDir, `${Date.now()}-${dossier.filename}`);
+  await fs.writeFile(filepath, dossier.buffer);
+
+  try {
+    await connection.execute(
+      'INSERT INTO documents (report_id, filename, filepath, file_type, mime_type, file_size, uploaded_by_user, notes) VALUES (?, ?, ?, "dossier", "application/pdf", ?, TRUE, ?)',
+      [report.id, dossier.filename, filepath, dossier.buffer.length, notes]
+    );
+  } catch (error) {
+    await fs.unlink(filepath).catch(() => {});
+    throw error;
+  }
+
+  return { filename: dossier.filename, path: filepath, size: dossier.buffer.length };
+}
+
+// Queues a mail from the case address (with the stored dossier and the unredacted originals, if given);
+// once sent, it appears in the correspondence thread exactly as it went out
+async function queueCaseEmail(report, {
+  to, subject, text, photos = [], dossier = null,
+  emailType, recipientType = null, inReplyTo = null, userId = null, connection = db
+}) {
+  const emailAddress = getCaseEmailAddress(report.case_number);
+
+  const attachments = photos.map(photo => ({
+    filename: photo.filename,
+    path: photo.filepath,
+    size: photo.file_size || null
+  }));
+
+  if (dossier) {
+    attachments.unshift(dossier);
+  }
+
+  return queueEmail({
+    reportId: report.id,
+    emailType,
+    recipientType,
+    from: emailAddress,
+    to,
+    replyTo: emailAddress,
+    subject,
+    text,
+    attachments,
+    inReplyTo,
+    userId,
+    connection
+  });
+}
+
+// ============ EMAIL TEMPLATES ============
+// Seeded into email_templates on startup; violation_type/district_id NULL means "applies to all"
+const TEMPLATE_LANGUAGES = ['de', 'en'];
+
+const DEFAULT_EMAIL_TEMPLATES = {
+  district: {
+    de: {
+      subject: 'DSGVO-Verstoß - Aktenzeichen {{case_number}}',
+      body: `Sehr geehrte Damen und Herren,
+
+hiermit melde ich einen DSGVO-Verstoß im Bereich Videoüberwachung.
+
+Aktenzeichen: {{case_number}}
+Standort: {{location_address}}
+Verstoß: {{violation_type}}
+Rechtsgrundlage: {{legal_basis}}
+
+{{notes}}
+
+{{attachments}}
+{{authority_portal}}
+
+Bitte antworten Sie unter Angabe des Aktenzeichens an {{case_email}}.
+
+Mit freundlichen Grüßen
+Diese E-Mail wurde automatisch generiert von rechtundordnung.de`
+    },
+    en: {
+      subject: 'GDPR violation - case number {{case_number}}',
+      body: `Dear Sir or Madam,
+
+I hereby report a GDPR violation concerning video surveillance.
+
+Case number: {{case_number}}
+Location: {{location_address}}
+Violation: {{violation_type}}
+Legal basis: {{legal_basis}}
+
+{{notes}}
+
+{{attachments}}
+{{authority_portal}}
+
+Please reply quoting the case number to {{case_email}}.
+
+Kind regards
+This email was generated automatically by rechtundordnung.de`
+    }
+  },
+  // State DPAs only receive German complaints
+  dpa: {
+    de: {
+      subject: 'Beschwerde nach Art. 77 DSGVO - Videoüberwachung - Aktenzeichen {{case_number}}',
+      body: `Sehr geehrte Damen und Herren,
+
+hiermit reiche ich gemäß Art. 77 DSGVO Beschwerde wegen einer Videoüberwachung ein, die aus meiner Sicht nicht mit der DSGVO vereinbar ist.
+
+Aktenzeichen: {{case_number}}
+Standort: {{location_address}}
+Verstoß: {{violation_type}}
+Rechtsgrundlage: {{legal_basis}}
+
+{{escalation_note}}
+
+{{notes}}
+
+{{attachments}}
+{{authority_portal}}
+
+Bitte antworten Sie unter Angabe des Aktenzeichens an {{case_email}}.
+
+Mit freundlichen Grüßen
+Diese E-Mail wurde automatisch generiert von rechtundordnung.de`
+    }
+  }
+};
+
+const TEMPLATE_PLACEHOLDERS = [
+  'case_number', 'case_email', 'location_address', 'location_zip', 'violation_type',
+  'legal_basis', 'notes', 'district_name', 'authority_name', 'escalation_note',
+  'photo_count', 'attachments', 'authority_portal', 'date'
+];
+
+async function seedEmailTemplates() {
+  try {
+    for (const [recipientType, templates] of Object.entries(DEFAULT_EMAIL_TEMPLATES)) {
+      for (const [language, template] of Object.entries(templates)) {
+        const [existing] = await db.execute(
+          'SELECT id FROM email_templates WHERE recipient_type = ? AND violation_type IS NULL AND district_id IS NULL AND language = ?',
+          [recipientType, language]
+        );
+
+        if (existing.length === 0) {
+          await db.execute(
+            'INSERT INTO email_templates (recipient_type, violation_type, district_id, language, subject, body) VALUES (?, NULL, NULL, ?, ?, ?)',
+            [recipientType, language, template.subject, template.body]
+          );
+          console.log(`✅ Default email template created (${recipientType}, ${language})`);
+        }
+      }
+    }
+  } catch (error) {
+    console.error('⚠️  Failed to seed email templates:', error.message);
+  }
+}
+
+async function findEmailTemplate(violationType, districtId, language, recipientType = 'district') {
+  // Most specific wins: requested language, then district override, then violation type
+  const [templates] = await db.execute(
+    `SELECT * FROM email_templates
+     WHERE recipient_type = ?
+       AND (violation_type = ? OR violation_type IS NULL)
+       AND (district_id = ? OR district_id IS NULL)
+       AND language IN (?, 'de')
+     ORDER BY language = ? DESC, district_id IS NULL, violation_type IS NULL
+     LIMIT 1`,
+    [recipientType, violationType || null, districtId || null, language, language]
+  );
+
+  return templates[0] || { id: null, language: 'de', ...DEFAULT_EMAIL_TEMPLATES[recipientType].de };
+}
+
+function buildTemplateContext(report, { district = null, recipient = null, language = 'de', photoCount = 0, hasDossier = true, escalation = false, portalLink = null } = {}) {
+  const violation = VIOLATION_TYPES[report.violation_type];
+  const en = language === 'en';
+  const submittedAt = report.submitted_at
+    ? new Date(report.submitted_at).toLocaleDateString('de-DE', { timeZone: 'Europe/Berlin' })
+    : null;
+
+  return {
+    case_number: report.case_number,
+    case_email: getCaseEmailAddress(report.case_number),
+    location_address: report.location_address || (en ? 'No address available' : 'Keine Adresse verfügbar'),
+    location_zip: report.location_zip || '',
+    violation_type: (en ? violation?.en.label : null) || report.violation_type || (en ? 'Not specified' : 'Nicht angegeben'),
+    legal_basis: (en ? violation?.en.legalBasis : violation?.legalBasis) || '-',
+    notes: report.notes || '',
+    district_name: district?.name || '',
+    authority_name: recipient?.name || district?.name || '',
+    escalation_note: escalation && submittedAt
+      ? `Der Vorgang wurde am ${submittedAt} an ${district?.name || 'das zuständige Ordnungsamt'} gemeldet, ohne dass der Verstoß abgestellt wurde. Ich bitte daher um aufsichtsbehördliche Prüfung.`
+      : '',
+    photo_count: String(photoCount),
+    attachments: en
+      ? (hasDossier ? 'The formal complaint (PDF) and the photos are attached.' : 'Photos attached.')
+      : (hasDossier ? 'Die formale Beschwerde (PDF) und die Fotos befinden sich im Anhang.' : 'Fotos im Anhang.'),
+    authority_portal: !portalLink ? '' : en
+      ? `Photos in full resolution, the complaint as PDF and a form for your feedback on the status (valid for ${CONFIG.authorityPortal.linkDays} days):\n${portalLink}`
+      : `Fotos in voller Auflösung, die Beschwerde als PDF und ein Formular für Ihre Rückmeldung zum Stand der Bearbeitung (${CONFIG.authorityPortal.linkDays} Tage gültig):\n${portalLink}`,
+    date: new Date().toLocaleDateString(en ? 'en-GB' : 'de-DE', { timeZone: 'Europe/Berlin' })
+  };
+}
+
+function renderTemplate(text, context) {
+  return text
+    .replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => (key in context ? context[key] : ''))
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+async function renderEmailForReport(report, options = {}) {
+  const recipientType = options.recipientType || 'district';
+  const language = recipientType === 'dpa' ? 'de' : (options.language || options.district?.language || 'de');
+  const template = options.template ||
+    await findEmailTemplate(report.violation_type, recipientType === 'dpa' ? null : report.district_id, language, recipientType);
+  const context = buildTemplateContext(report, { ...options, language: template.language || language });
+
+  let text = renderTemplate(template.body, context);
+
+  // Templates saved before the authority portal existed don't have the placeholder
+  if (context.authority_portal && !/\{\{\s*authority_portal\s*\}\}/.test(template.body)) {
+    text = `${text}\n\n${context.authority_portal}`;
+  }
+
+  return {
+    templateId: template.id || null,
+    language: template.language || language,
+    subject: renderTemplate(template.subject, context),
+    text
+  };
+}
+
+// ============ REPORT STATUS ============
+// Allowed lifecycle steps; draft → submitted only happens through the submit endpoint
+const STATUS_TRANSITIONS = {
+  draft: ['submitted'],
+  submitted: ['in_progress', 'completed', 'rejected'],
+  in_progress: ['completed', 'rejected'],
+  completed: ['in_progress'],
+  rejected: ['in_progress']
+};
+
+function canTransition(fromStatus, toStatus) {
+  return (STATUS_TRANSITIONS[fromStatus] || []).includes(toStatus);
+}
+
+// authority: { name, email } from the portal link, when the authority itself changed the status
+// Guarded status update and history entry; with a transaction connection they commit together
+// with the caller's other writes. announceStatusChange() follows once everything is committed
+async function recordStatusChange(report, newStatus, { userId = null, authority = null, notes = null, connection = db } = {}) {
+  if (!canTransition(report.status, newStatus)) {
+    throw new Error(`Invalid status transition: ${report.status} → ${newStatus}`);
+  }
+
+  // Guard on the old status so concurrent changes can't both succeed
+  const [result] = newStatus === 'submitted'
+    ? await connection.execute(
+      'UPDATE reports SET status = ?, submitted_at = NOW(), response_deadline = DATE_ADD(NOW(), INTERVAL ? DAY) WHERE id = ? AND status = ?',
+      [newStatus, CONFIG.deadlines.responseDays, report.id, report.status]
+    )
+    : await connection.execute(
+      'UPDATE reports SET status = ? WHERE id = ? AND status = ?',
+      [newStatus, report.id, report.status]
+    );
+
+  if (result.affectedRows === 0) {
+    const conflict = new Error(`Report ${report.case_number} status changed concurrently`);
+    conflict.code = 'STATUS_CONFLICT';
+    throw conflict;
+  }
+
+  await connection.execute(
+    'INSERT INTO status_history (report_id, old_status, new_status, changed_by_user_id, actor_type, actor_name, notes) VALUES (?, ?, ?, ?, ?, ?, ?)',
+    [
+      report.id, report.status, newStatus, userId,
+      authority ? 'authority' : (userId ? 'user' : 'system'),
+      authority ? (authority.name || authority.email) : null,
+      notes || null
+    ]
+  );
+}
+
+async function announceStatusChange(report, newStatus, { userId = null, authority = null, notes = null } = {}) {
+  console.log(`✅ Status of ${report.case_number}: ${report.status} → ${newStatus}${authority ? ` (by ${authority.email})` : ''}`);
+
+  await emitWebhookEvent('report.status_changed', report.id, {
+    old_status: report.status,
+    new_status: newStatus,
+    actor: authority ? 'authority' : (userId ? 'user' : 'system'),
+    notes: notes || null
+  });
+
+  // The reporter only hears about changes somebody else made
+  if (report.user_id && userId !== report.user_id) {
+    const actor = authority
+      ? (authority.name || 'Die Behörde')
+      : (userId ? 'Die Moderation' : 'RechtUndOrdnung');
+
+    await notifyUser(report.user_id, {
+      reportId: report.id,
+      type: 'status_changed',
+      title: `${report.case_number}: ${STATUS_LABELS[newStatus] || newStatus}`,
+      body: `${actor} hat den Status von „${STATUS_LABELS[report.status] || report.status}“ auf „${STATUS_LABELS[newStatus] || newStatus}“ geändert.${notes ? `\n\nBegründung: ${notes}` : ''}`
+    });
+  }
+}
+
+async function changeReportStatus(report, newStatus, options = {}) {
+  await recordStatusChange(report, newStatus, options);
+  await announceStatusChange(report, newStatus, options);
+}
+
+// ============ AUTHORITY PORTAL ============
+// Mails to the authority carry a signed, expiring link to the case: originals, complaint PDF,
+// status feedback and upload of the decision letter, without an account
+const AUTHORITY_STATUSES = ['in_progress', 'completed', 'rejected'];
+const AUTHORITY_PORTAL_PREVIEW_LINK = `${CONFIG.publicUrl}/authority.html?token=…`;
+
+// Own key derived from JWT_SECRET, so portal links and login tokens can't be used for each other
+function getAuthorityPortalSecret() {
+  return crypto.createHmac('sha256', CONFIG.jwt.secret).update('authority-portal').digest('hex');
+}
+
+function createAuthorityPortalLink(report, recipient) {
+  const token = jwt.sign(
+    { reportId: report.id, name: recipient.name || null, email: recipient.email },
+    getAuthorityPortalSecret(),
+    { expiresIn: `${CONFIG.authorityPortal.linkDays}d` }
+  );
+  return `${CONFIG.publicUrl}/authority.html?token=${token}`;
+}
+
+// The reporter sees the sent mails, but must not be able to answer as the authority
+function redactPortalLinks(text) {
+  return text && text.replace(/(\/authority\.html\?token=)[\w.-]+/g, '$1[nur-fuer-die-behoerde]');
+}
+
+// req.report: the case of the link (never a draft), req.authority: the recipient of the mail
+async function authorityPortalMiddleware(req, res, next) {
+  let decoded;
+  try {
+    decoded = jwt.verify(req.params.token, getAuthorityPortalSecret());
+  } catch (error) {
+    return res.status(401).json({ error: error.name === 'TokenExpiredError' ? 'Link expired' : 'Invalid link' });
+  }
+
+  try {
+    const [reports] = await db.execute(
+      `SELECT r.*, d.name as district_name
+       FROM reports r
+       LEFT JOIN districts d ON r.district_id = d.id
+       WHERE r.id = ? AND r.status != 'draft'`,
+      [decoded.reportId || 0]
+    );
+
+    if (!reports[0]) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    req.report = reports[0];
+    req.authority = { name: decoded.name, email: decoded.email };
+    next();
+  } catch (error) {
+    console.error('Authority portal auth error:', error);
+    res.status(500).json({ error: 'Authentication failed' });
+  }
+}
+
+// ============ DEADLINES ============
+// Reminders go out for "submitted" reports without a reply from the authority once the deadline has passed
+const REMINDER_EMAILS = {
+  de: {
+    subject: '{{reminder_number}}. Erinnerung: DSGVO-Verstoß - Aktenzeichen {{case_number}}',
+    body: `Sehr geehrte Damen und Herren,
+
+am {{submitted_date}} haben wir Ihnen unter dem Aktenzeichen {{case_number}} einen DSGVO-Verstoß im Bereich Videoüberwachung gemeldet.
+
+Standort: {{location_address}}
+Verstoß: {{violation_type}}
+
+Bis heute liegt uns leider keine Antwort vor. Wir wären Ihnen dankbar, wenn Sie uns den Eingang bestätigen und kurz über den Stand der Bearbeitung informieren könnten.
+
+{{authority_portal}}
+
+Bitte antworten Sie unter Angabe des Aktenzeichens an {{case_email}}.
+
+Mit freundlichen Grüßen
+Diese E-Mail wurde automatisch generiert von rechtundordnung.de`
+  },
+  en: {
+    subject: 'Reminder {{reminder_number}}: GDPR violation - case number {{case_number}}',
+    body: `Dear Sir or Madam,
+
+on {{submitted_date}} we reported a GDPR violation concerning video surveillance to you under case number {{case_number}}.
+
+Location: {{location_address}}
+Violation: {{violation_type}}
+
+Unfortunately we have not received a reply so far. We would be grateful if you could acknowledge receipt and briefly let us know the status of the matter.
+
+{{authority_portal}}
+
+Please reply quoting the case number to {{case_email}}.
+
+Kind regards
+This email was generated automatically by rechtundordnung.de`
+  }
+};
+
+function addDays(date, days) {
+  return new Date(new Date(date).getTime() + days * 24 * 60 * 60 * 1000);
+}
+
+// Deadline, first reply and reminders per report for the dashboard timeline
+async function getDeadlineInfo(reports) {
+  const submitted = reports.filter(r => r.submitted_at);
+  const info = {};
+
+  if (submitted.length === 0) {
+    return info;
+  }
+
+  const [emails] = await db.query(
+    `SELECT report_id, direction, email_type, sent_at FROM email_logs
+     WHERE report_id IN (?) AND ((direction = 'inbound' AND from_authority = TRUE) OR email_type = 'reminder')
+     ORDER BY sent_at`,
+    [submitted.map(r => r.id)]
+  );
+
+  const now = new Date();
+
+  for (const report of submitted) {
+    const reportEmails = emails.filter(e => e.report_id === report.id);
+    const answeredAt = reportEmails.find(e => e.direction === 'inbound')?.sent_at || null;
+    const reminders = reportEmails.filter(e => e.email_type === 'reminder').map(e => e.sent_at);
+    const dueAt = report.response_deadline ? new Date(report.response_deadline) : null;
+    const waiting = report.status === 'submitted' && !answeredAt && dueAt;
+
+    info[report.id] = {
+      dueAt,
+      answeredAt,
+      reminders,
+      overdue: !!(waiting && dueAt < now),
+      nextReminderAt: waiting && report.reminder_count < CONFIG.deadlines.maxReminders
+        ? (report.last_reminder_at ? addDays(report.last_reminder_at, CONFIG.deadlines.reminderIntervalDays) : dueAt)
+        : null
+    };
+  }
+
+  return info;
+}
+
+async function getAuthorityRecipient(report) {
+  // Whoever got the last report/escalation mail is the authority currently handling the case
+  const [logs] = await db.execute(
+    `SELECT recipient_type FROM email_logs
+     WHERE report_id = ? AND direction = 'outbound' AND email_type IN ('report', 'escalation')
+     ORDER BY sent_at DESC, id DESC LIMIT 1`,
+    [report.id]
+  );
+
+  if (logs[0]?.recipient_type === 'dpa') {
+    const authority = getSupervisoryAuthority(report.location_state);
+    return authority ? { type: 'dpa', language: 'de', ...authority } : null;
+  }
+
+  return report.district_email
+    ? { type: 'district', name: report.district_name, email: report.district_email, language: report.district_language || 'de' }
+    : null;
+}
+
+async function notifyReporterAboutReminder(report, reminderNumber) {
+  // Reports of deleted accounts are still followed up, but there is nobody to tell
+  if (!report.user_id) return;
+
+  const lastReminder = reminderNumber >= CONFIG.deadlines.maxReminders;
+
+  await notifyUser(report.user_id, {
+    reportId: report.id,
+    type: 'reminder_sent',
+    title: `Keine Antwort zu ${report.case_number} - Erinnerung versendet`,
+    body: `Die Behörde hat auf Ihre Anzeige ${report.case_number} bisher nicht geantwortet. Wir haben deshalb die ${reminderNumber}. Erinnerung verschickt.${lastReminder && !report.escalated_at ? '\n\nDas war die letzte automatische Erinnerung. Sie können die Anzeige jetzt an die Landesdatenschutzbehörde eskalieren.' : ''}`
+  });
+}
+
+async function sendReminder(report) {
+  const recipient = await getAuthorityRecipient(report);
+
+  if (!recipient?.email) {
+    console.log(`⚠️  No reminder recipient for ${report.case_number}`);
+    return;
+  }
+
+  // Claim the reminder first so overlapping runs can't send it twice
+  const [claimed] = await db.execute(
+    'UPDATE reports SET reminder_count = reminder_count + 1, last_reminder_at = NOW() WHERE id = ? AND reminder_count = ?',
+    [report.id, report.reminder_count]
+  );
+
+  if (claimed.affectedRows === 0) {
+    return;
+  }
+
+  const reminderNumber = report.reminder_count + 1;
+  const template = REMINDER_EMAILS[recipient.language] || REMINDER_EMAILS.de;
+  const context = {
+    ...buildTemplateContext(report, {
+      district: { name: report.district_name },
+      recipient,
+      language: recipient.language,
+      portalLink: createAuthorityPortalLink(report, recipient)
+    }),
+    reminder_number: String(reminderNumber),
+    submitted_date: new Date(report.submitted_at).toLocaleDateString(recipient.language === 'en' ? 'en-GB' : 'de-DE', { timeZone: 'Europe/Berlin' })
+  };
+  const subject = renderTemplate(template.subject, context);
+  const text = renderTemplate(template.body, context);
+
+  try {
+    await queueCaseEmail(report, { to: recipient.email, subject, text, emailType: 'reminder', recipientType: recipient.type });
+  } catch (error) {
+    // Give the slot back so the next run retries
+    await db.execute(
+      'UPDATE reports SET reminder_count = ?, last_reminder_at = ? WHERE id = ?',
+      [report.reminder_count, report.last_reminder_at, report.id]
+    );
+    throw error;
+  }
+
+  console.log(`✅ Reminder ${reminderNumber} for ${report.case_number} queued for ${recipient.email}`);
+
+  try {
+    await notifyReporterAboutReminder(report, reminderNumber);
+  } catch (error) {
+    console.error(`Reporter notification error for ${report.case_number}:`, error.message);
+  }
+}
+
+async function checkDeadlines() {
+  try {
+    const [reports] = await db.execute(
+      `SELECT r.*, d.name as district_name, d.email as district_email, d.language as district_language
+       FROM reports r
+       LEFT JOIN districts d ON r.district_id = d.id
+       WHERE r.status = 'submitted'
+         AND r.response_deadline < NOW()
+         AND r.reminder_count < ?
+         AND (r.last_reminder_at IS NULL OR r.last_reminder_at < DATE_SUB(NOW(), INTERVAL ? DAY))
+         AND NOT EXISTS (SELECT 1 FROM email_logs e WHERE e.report_id = r.id AND e.direction = 'inbound' AND e.from_authority = TRUE)`,
+      [CONFIG.deadlines.maxReminders, CONFIG.deadlines.reminderIntervalDays]
+    );
+
+    for (const report of reports) {
+      try {
+        await sendReminder(report);
+      } catch (error) {
+        console.error(`Reminder error for ${report.case_number}:`, error.message);
+      }
+    }
+  } catch (error) {
+    console.error('Deadline check error:', error);
+  }
+}
+
+function startDeadlineScheduler() {
+  if (!isMailEnabled() || CONFIG.deadlines.maxReminders <= 0) {
+    console.log('ℹ️  No mail transport configured or MAX_REMINDERS=0, reminder emails disabled');
+    return;
+  }
+
+  checkDeadlines();
+  setInterval(checkDeadlines, CONFIG.deadlines.checkInterval);
+  console.log(`✅ Deadline check every ${CONFIG.deadlines.checkInterval / 1000}s (deadline: ${CONFIG.deadlines.responseDays} days)`);
+}
+
+// ============ NOTIFICATIONS ============
+// Every notification is listed in the app; by mail it goes out right away, in a daily digest or not at all
+const NOTIFICATION_EMAIL_MODES = ['immediate', 'daily', 'off'];
+const MAX_NOTIFICATIONS_PAGE = 100;
+
+function getNotificationLink(reportId) {
+  return reportId ? `${CONFIG.publicUrl}/detail.html?id=${reportId}` : `${CONFIG.publicUrl}/notifications.html`;
+}
+
+// Never throws: a failed notification must not undo the status change or mail that caused it
+async function notifyUser(userId, { reportId = null, type, title, body = null }) {
+  try {
+    const [result] = await db.execute(
+      'INSERT INTO notifications (user_id, report_id, type, title, body) VALUES (?, ?, ?, ?, ?)',
+      [userId, reportId, type, title, body]
+    );
+
+    const [users] = await db.execute(
+      'SELECT email, name, notification_email FROM users WHERE id = ?',
+      [userId]
+    );
+
+    if (users[0]?.notification_email !== 'immediate' || !isMailEnabled()) {
+      return;
+    }
+
+    await queueEmail({
+      reportId,
+      emailType: 'notification',
+      logToThread: false,
+      from: CONFIG.systemEmail,
+      to: users[0].email,
+      subject: title,
+      text: `Hallo ${users[0].name || ''},
+
+${body || title}
+
+${getNotificationLink(reportId)}
+
+Benachrichtigungen per E-Mail einstellen: ${CONFIG.publicUrl}/account.html
+
+Ihr RechtUndOrdnung-Team`,
+      userId
+    });
+
+    await db.execute('UPDATE notifications SET emailed_at = NOW() WHERE id = ?', [result.insertId]);
+  } catch (error) {
+    console.error(`Notification error for user ${userId}:`, error.message);
+  }
+}
+
+// Once per response deadline (a new deadline after an escalation gets its own warning)
+async function checkUpcomingDeadlines() {
+  const [reports] = await db.execute(
+    `SELECT r.id, r.user_id, r.case_number, r.response_deadline
+     FROM reports r
+     WHERE r.status = 'submitted'
+       AND r.user_id IS NOT NULL
+       AND r.response_deadline BETWEEN NOW() AND DATE_ADD(NOW(), INTERVAL ? DAY)
+       AND NOT (r.deadline_notified_for <=> r.response_deadline)
+       AND NOT EXISTS (SELECT 1 FROM email_logs e WHERE e.report_id = r.id AND e.direction = 'inbound' AND e.from_authority = TRUE)`,
+    [CONFIG.notifications.deadlineWarningDays]
+  );
+
+  for (const report of reports) {
+    const [claimed] = await db.execute(
+      'UPDATE reports SET deadline_notified_for = response_deadline WHERE id = ? AND NOT (deadline_notified_for <=> response_deadline)',
+      [report.id]
+    );
+    if (claimed.affectedRows === 0) continue;
+
+    const reminders = isMailEnabled() && CONFIG.deadlines.maxReminders > 0;
+    await notifyUser(report.user_id, {
+      reportId: report.id,
+      type: 'deadline_upcoming',
+      title: `Antwortfrist zu ${report.case_number} endet bald`,
+      body: `Die Antwortfrist der Behörde endet am ${formatDateTime(report.response_deadline)}.${reminders ? ' Kommt bis dahin keine Antwort, erinnern wir die Behörde automatisch.' : ''}`
+    });
+  }
+}
+
+function getBerlinHour(date = new Date()) {
+  return parseInt(new Intl.DateTimeFormat('en-GB', { timeZone: 'Europe/Berlin', hour: 'numeric', hourCycle: 'h23' }).format(date));
+}
+
+// Unread notifications that weren't mailed yet, one mail per user
+async function sendNotificationDigests() {
+  if (!isMailEnabled() || getBerlinHour() !== CONFIG.notifications.digestHour) {
+    return;
+  }
+
+  const [users] = await db.execute(
+    `SELECT u.id, u.email, u.name
+     FROM users u
+     WHERE u.notification_email = 'daily'
+       AND (u.last_digest_at IS NULL OR u.last_digest_at < DATE_SUB(NOW(), INTERVAL 20 HOUR))
+       AND EXISTS (SELECT 1 FROM notifications n WHERE n.user_id = u.id AND n.read_at IS NULL AND n.emailed_at IS NULL)`
+  );
+
+  for (const user of users) {
+    try {
+      const [notifications] = await db.execute(
+        `SELECT id, report_id, title, body, created_at FROM notifications
+         WHERE user_id = ? AND read_at IS NULL AND emailed_at IS NULL
+         ORDER BY created_at`,
+        [user.id]
+      );
+
+      await queueEmail({
+        emailType: 'notification_digest',
+        logToThread: false,
+        from: CONFIG.systemEmail,
+        to: user.email,
+        subject: `Ihre Benachrichtigungen: ${notifications.length} neu`,
+        text: `Hallo ${user.name || ''},
+
+seit der letzten Zusammenfassung gibt es Neuigkeiten zu Ihren Anzeigen:
+
+${notifications.map(n => `• ${n.title} (${formatDateTime(n.created_at)})
+${n.body ? `${n.body}\n` : ''}${getNotificationLink(n.report_id)}`).join('\n\n')}
+
+Alle Benachrichtigungen: ${CONFIG.publicUrl}/notifications.html
+Benachrichtigungen per E-Mail einstellen: ${CONFIG.publicUrl}/account.html
+
+Ihr RechtUndOrdnung-Team`,
+        userId: user.id
+      });
+
+      await db.query('UPDATE notifications SET emailed_at = NOW() WHERE id IN (?)', [notifications.map(n => n.id)]);
+      await db.execute('UPDATE users SET last_digest_at = NOW() WHERE id = ?', [user.id]);
+    } catch (error) {
+      console.error(`Notification digest error for user ${user.id}:`, error.message);
+    }
+  }
+}
+
+async function runNotificationChecks() {
+  try {
+    await checkUpcomingDeadlines();
+    await sendNotificationDigests();
+  } catch (error) {
+    console.error('Notification check error:', error);
+  }
+}
+
+function startNotificationScheduler() {
+  runNotificationChecks();
+  setInterval(runNotificationChecks, CONFIG.notifications.checkInterval);
+  console.log(`✅ Notification check every ${CONFIG.notifications.checkInterval / 1000}s (digest at ${CONFIG.notifications.digestHour}:00)`);
+}
+
+// ============ WEBHOOKS ============
+// Integrations get signed JSON events by POST. Deliveries are queued and retried with backoff like mails;
+// every attempt is logged. Users get events of their own reports, admins can subscribe to all reports
+const WEBHOOK_EVENTS = ['report.created', 'report.submitted', 'report.status_changed', 'email.received'];
+const WEBHOOK_COLUMNS = 'w.id, w.user_id, w.url, w.events, w.all_reports, w.active, w.created_at, w.updated_at';
+const WEBHOOK_BATCH_SIZE = 20;
+const MAX_WEBHOOKS_PER_USER = 10;
+const MAX_WEBHOOK_DELIVERIES_PAGE = 100;
+
+let webhooksRunning = false;
+
+// Loopback, private, link-local, shared, documentation, benchmark, multicast and reserved ranges
+const BLOCKED_WEBHOOK_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.88.99.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => BLOCKED_WEBHOOK_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::ffff:0:0:0', 96], ['64:ff9b::', 96], ['64:ff9b:1::', 48], ['100::', 64],
+  ['2001::', 23], ['2001:db8::', 32], ['2002::', 16], ['fc00::', 7], ['fe80::', 10], ['fec0::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_WEBHOOK_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+// The eight 16-bit groups of an IPv6 address, whatever notation it was written in (::ffff:127.0.0.1, ::7f00:1 …)
+function getIPv6Groups(address) {
+  const canonical = new URL(`http://[${address.split('%')[0]}]`).hostname.slice(1, -1);
+  const [head, tail] = canonical.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const zeros = Array(8 - headGroups.length - tailGroups.length).fill('0');
+  return [...headGroups, ...zeros, ...tailGroups].map(group => parseInt(group, 16));
+}
+
+function isPrivateAddress(address) {
+  if (net.isIPv4(address)) {
+    return BLOCKED_WEBHOOK_ADDRESSES.check(address, 'ipv4');
+  }
+
+  if (!net.isIPv6(address)) {
+    return true;
+  }
+
+  // IPv4-mapped (::ffff:a.b.c.d) and IPv4-compatible (::a.b.c.d) addresses reach the embedded IPv4 address
+  const groups = getIPv6Groups(address);
+  if (groups.slice(0, 5).every(group => group === 0) && [0, 0xffff].includes(groups[5])) {
+    const embedded = [groups[6] >> 8, groups[6] & 0xff, groups[7] >> 8, groups[7] & 0xff].join('.');
+    return BLOCKED_WEBHOOK_ADDRESSES.check(embedded, 'ipv4') || BLOCKED_WEBHOOK_ADDRESSES.check(address, 'ipv6');
+  }
+
+  return BLOCKED_WEBHOOK_ADDRESSES.check(address, 'ipv6');
+}
+
+// Resolves the webhook host once; delivery connects to exactly this address, so a second DNS answer
+// (DNS rebinding) can't point the request somewhere else after the check
+async function resolveWebhookTarget(value) {
+  let url;
+  try {
+    url = new URL(String(value || ''));
+  } catch (error) {
+    return { error: 'Invalid URL' };
+  }
+
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    return { error: 'Only http and https URLs are allowed' };
+  }
+
+  if (process.env.NODE_ENV === 'production' && url.protocol !== 'https:') {
+    return { error: 'Webhook URLs must use https' };
+  }
+
+  let addresses;
+  try {
+    addresses = await dns.lookup(url.hostname.replace(/^\[|\]$/g, ''), { all: true });
+  } catch (error) {
+    return { error: 'Webhook host not found' };
+  }
+
+  if (addresses.length === 0) {
+    return { error: 'Webhook host not found' };
+  }
+
+  if (!CONFIG.webhooks.allowPrivateTargets && addresses.some(entry => isPrivateAddress(entry.address))) {
+    return { error: 'Webhook URL points to a private network' };
+  }
+
+  return { url, address: addresses[0].address, family: addresses[0].family };
+}
+
+// Returns an error text or null; delivery checks again, the DNS answer may have changed
+async function validateWebhookUrl(value) {
+  return (await resolveWebhookTarget(value)).error || null;
+}
+
+function createPinnedAgent(target) {
+  const lookup = (hostname, options, callback) => (options.all
+    ? callback(null, [{ address: target.address, family: target.family }])
+    : callback(null, target.address, target.family));
+
+  return target.url.protocol === 'https:' ? new https.Agent({ lookup }) : new http.Agent({ lookup });
+}
+
+function parseWebhookEvents(events) {
+  const list = [].concat(events || []);
+  return list.length > 0 && list.every(event => WEBHOOK_EVENTS.includes(event)) ? [...new Set(list)] : null;
+}
+
+function formatWebhook(webhook) {
+  return { ...webhook, events: webhook.events.split(','), all_reports: !!webhook.all_reports, active: !!webhook.active };
+}
+
+// Owners manage their webhooks; webhooks for all reports belong to every admin
+async function findAccessibleWebhook(webhookId, user) {
+  const [webhooks] = await db.execute(
+    `SELECT ${WEBHOOK_COLUMNS} FROM webhooks w WHERE w.id = ? AND (w.user_id = ? OR (w.all_reports = TRUE AND ? = 'admin'))`,
+    [webhookId, user.id, user.role]
+  );
+  return webhooks[0] || null;
+}
+
+function getWebhookReport(report) {
+  return {
+    id: report.id,
+    case_number: report.case_number,
+    status: report.status,
+    violation_type: report.violation_type,
+    location_address: report.location_address,
+    location_zip: report.location_zip,
+    location_lat: report.location_lat,
+    location_lng: report.location_lng,
+    district_id: report.district_id,
+    camera_id: report.camera_id,
+    is_public: !!report.is_public,
+    submitted_at: report.submitted_at,
+    response_deadline: report.response_deadline,
+    created_at: report.created_at,
+    url: `${CONFIG.publicUrl}/detail.html?id=${report.id}`
+  };
+}
+
+// Never throws: an unreachable integration must not fail the request that caused the event
+async function emitWebhookEvent(event, reportId, data = {}) {
+  try {
+    const [reports] = await db.execute('SELECT * FROM reports WHERE id = ?', [reportId]);
+    const report = reports[0];
+    if (!report) return;
+
+    // Webhooks for all reports only while their owner is still an admin
+    const [webhooks] = await db.execute(
+      `SELECT w.id FROM webhooks w
+       JOIN users u ON w.user_id = u.id
+       WHERE w.active = TRUE
+         AND FIND_IN_SET(?, w.events)
+         AND u.disabled_at IS NULL
+         AND (w.user_id = ? OR (w.all_reports = TRUE AND u.role = 'admin'))`,
+      [event, report.user_id || 0]
+    );
+
+    if (webhooks.length === 0) return;
+
+    for (const webhook of webhooks) {
+      const eventId = crypto.randomUUID();
+      const payload = JSON.stringify({
+        id: eventId,
+        event,
+        created_at: new Date().toISOString(),
+        data: { report: getWebhookReport(report), ...data }
+      });
+
+      await db.execute(
+        'INSERT INTO webhook_deliveries (webhook_id, event, event_id, payload) VALUES (?, ?, ?, ?)',
+        [webhook.id, event, eventId, payload]
+      );
+    }
+
+    setImmediate(processWebhooks);
+  } catch (error) {
+    console.error(`Webhook event error (${event}):`, error.message);
+  }
+}
+
+// Receivers recompute HMAC-SHA256(secret, "<timestamp>.<body>") and compare with X-RUO-Signature
+function signWebhookPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+async function deliverWebhook(delivery) {
+  // Claim the delivery so overlapping runs can't send it twice
+  const [claimed] = await db.execute(
+    'UPDATE webhook_deliveries SET status = "sending", attempts = attempts + 1 WHERE id = ? AND status = "pending"',
+    [delivery.id]
+  );
+
+  if (claimed.affectedRows === 0) {
+    return;
+  }
+
+  const attempt = delivery.attempts + 1;
+  const startedAt = Date.now();
+  let responseStatus = null;
+  let responseBody = null;
+  const target = await resolveWebhookTarget(delivery.url);
+  let error = target.error || null;
+
+  if (!error) {
+    const timestamp = Math.floor(startedAt / 1000);
+    const agent = createPinnedAgent(target);
+    try {
+      const response = await axios.post(delivery.url, delivery.payload, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'RUO-Platform/1.0',
+          'X-RUO-Event': delivery.event,
+          'X-RUO-Delivery': delivery.event_id,
+          'X-RUO-Timestamp': String(timestamp),
+          'X-RUO-Signature': `sha256=${signWebhookPayload(delivery.secret, timestamp, delivery.payload)}`
+        },
+        // The body has to go out byte for byte as signed
+        transformRequest: [body => body],
+        httpAgent: agent,
+        httpsAgent: agent,
+        // A proxy from the environment would resolve the host itself
+        proxy: false,
+        responseType: 'text',
+        timeout: CONFIG.webhooks.timeout,
+        maxRedirects: 0,
+        maxContentLength: 64 * 1024,
+        validateStatus: () => true
+      });
+
+      responseStatus = response.status;
+      responseBody = typeof response.data === 'string' ? response.data : null;
+      if (response.status < 200 || response.status >= 300) {
+        error = `HTTP ${response.status}`;
+      }
+    } catch (requestError) {
+      error = requestError.message;
+    } finally {
+      agent.destroy();
+    }
+  }
+
+  await db.execute(
+    'INSERT INTO webhook_attempts (delivery_id, attempt, response_status, response_body, error, duration_ms) VALUES (?, ?, ?, ?, ?, ?)',
+    [
+      delivery.id, attempt, responseStatus,
+      responseBody ? responseBody.slice(0, 1000) : null,
+      error ? String(error).slice(0, 1000) : null,
+      Date.now() - startedAt
+    ]
+  );
+
+  if (!error) {
+    await db.execute(
+      'UPDATE webhook_deliveries SET status = "delivered", delivered_at = NOW(), last_status = ?, last_error = NULL WHERE id = ?',
+      [responseStatus, delivery.id]
+    );
+    return;
+  }
+
+  const failed = attempt >= CONFIG.webhooks.maxAttempts;
+  const delay = Math.min(CONFIG.webhooks.retryBaseDelay * 2 ** (attempt - 1), MAX_RETRY_DELAY_SECONDS);
+
+  await db.execute(
+    'UPDATE webhook_deliveries SET status = ?, last_status = ?, last_error = ?, next_attempt_at = DATE_ADD(NOW(), INTERVAL ? SECOND) WHERE id = ?',
+    [failed ? 'failed' : 'pending', responseStatus, String(error).slice(0, 1000), delay, delivery.id]
+  );
+  console.error(`⚠️  Webhook delivery ${delivery.id} to ${delivery.url} failed (attempt ${attempt}${failed ? ', giving up' : `, retry in ${delay}s`}):`, error);
+}
+
+async function processWebhooks() {
+  if (webhooksRunning) return;
+  webhooksRunning = true;
+
+  try {
+    // Failed deliveries move their next attempt into the future, so this loop ends
+    for (;;) {
+      const [deliveries] = await db.query(
+        `SELECT d.*, w.url, w.secret
+         FROM webhook_deliveries d
+         JOIN webhooks w ON d.webhook_id = w.id
+         WHERE d.status = 'pending' AND d.next_attempt_at <= NOW() AND w.active = TRUE
+         ORDER BY d.next_attempt_at, d.id LIMIT ?`,
+        [WEBHOOK_BATCH_SIZE]
+      );
+
+      if (deliveries.length === 0) break;
+
+      for (const delivery of deliveries) {
+        await deliverWebhook(delivery);
+      }
+    }
+  } catch (error) {
+    console.error('Webhook worker error:', error);
+  } finally {
+    webhooksRunning = false;
+  }
+}
+
+async function startWebhookWorker() {
+  try {
+    // Deliveries claimed by a worker that died mid-request go back into the queue
+    await db.execute('UPDATE webhook_deliveries SET status = "pending" WHERE status = "sending"');
+  } catch (error) {
+    console.error('Webhook reset error:', error);
+  }
+
+  processWebhooks();
+  setInterval(processWebhooks, CONFIG.webhooks.workerInterval);
+  console.log(`✅ Webhook worker every ${CONFIG.webhooks.workerInterval / 1000}s`);
+}
+
+// ============ CAMERAS ============
+// One camera installation can be reported several times; the public map shows one marker per camera
+const CAMERA_PROXIMITY_METERS = 50;
+
+// Legal status of a camera = status of its most recently submitted report
+const CAMERA_STATUS_SQL = `(SELECT r2.status FROM reports r2
+  WHERE r2.camera_id = c.id AND r2.status != 'draft' AND r2.is_public = TRUE AND r2.is_hidden = FALSE
+  ORDER BY r2.submitted_at DESC LIMIT 1)`;
+
+async function findNearbyCameras(lat, lng, excludeReportId = null) {
+  const [cameras] = await db.execute(
+    `SELECT c.id, c.description, c.location_address,
+            ${CAMERA_STATUS_SQL} as status,
+            (SELECT COUNT(*) FROM reports WHERE camera_id = c.id AND id != ?) as report_count,
+            ST_Distance_Sphere(POINT(c.location_lng, c.location_lat), POINT(?, ?)) as distance
+     FROM cameras c
+     HAVING distance <= ?
+     ORDER BY distance
+     LIMIT 10`,
+    [excludeReportId || 0, lng, lat, CAMERA_PROXIMITY_METERS]
+  );
+
+  return cameras.map(camera => ({
+    id: camera.id,
+    description: camera.description,
+    address: camera.location_address,
+    status: camera.status,
+    reportCount: camera.report_count,
+    distance: Math.round(camera.distance)
+  }));
+}
+
+async function createCameraForReport(report, { description = null, ownerName = null, userId = null } = {}) {
+  const [result] = await db.execute(
+    'INSERT INTO cameras (location_lat, location_lng, location_address, location_zip, description, owner_name, created_by_user_id) VALUES (?, ?, ?, ?, ?, ?, ?)',
+    [report.location_lat, report.location_lng, report.location_address || null, report.location_zip || null, description, ownerName, userId]
+  );
+
+  await db.execute('UPDATE reports SET camera_id = ? WHERE id = ?', [result.insertId, report.id]);
+  return result.insertId;
+}
+
+// Removes cameras that no report points to anymore
+async function deleteOrphanedCamera(cameraId) {
+  if (!cameraId) return;
+
+  await db.execute(
+    'DELETE FROM cameras WHERE id = ? AND NOT EXISTS (SELECT 1 FROM reports WHERE camera_id = ?)',
+    [cameraId, cameraId]
+  );
+}
+
+// Reports submitted before cameras existed get a camera of their own
+async function backfillCameras() {
+  try {
+    const [reports] = await db.execute(
+      `SELECT * FROM reports
+       WHERE camera_id IS NULL AND status != 'draft' AND location_lat IS NOT NULL AND location_lng IS NOT NULL`
+    );
+
+    for (const report of reports) {
+      await createCameraForReport(report, { userId: report.user_id });
+    }
+
+    if (reports.length > 0) {
+      console.log(`✅ Created ${reports.length} cameras for existing reports`);
+    }
+  } catch (error) {
+    console.error('Camera backfill error:', error.message);
+  }
+}
+
+// ============ INBOUND MAIL ============
+const CASE_NUMBER_PATTERN = /RUO-\d{4}-\d{4}/i;
+const CASE_ADDRESS_PATTERN = /^ruo-\d{4}-\d{4}$/i;
+
+let inboundPollRunning = false;
+
+function sanitizeFilename(filename) {
+  return path.basename(filename).replace(/[^\w.\-äöüÄÖÜß]/g, '_');
+}
+
+const HTML_ENTITIES = {
+  nbsp: ' ', amp: '&', lt: '<', gt: '>', quot: '"', apos: "'",
+  auml: 'ä', ouml: 'ö', uuml: 'ü', Auml: 'Ä', Ouml: 'Ö', Uuml: 'Ü', szlig: 'ß', euro: '€', sect: '§'
+};
+
+// Many municipal mail systems send HTML only; mailparser leaves parsed.text empty when the HTML
+// part sits next to attachments. Block elements become line breaks, tags and styles are dropped
+function htmlToText(html) {
+  return String(html)
+    .replace(/<(head|style|script)\b[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|li|tr|h[1-6]|blockquote)>/gi, '\n')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+      if (name[0] !== '#') return HTML_ENTITIES[name] ?? entity;
+      const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1));
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : '';
+    })
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+function getInboundText(parsed) {
+  return parsed.text || (parsed.html ? htmlToText(parsed.html) : '');
+}
+
+function collectAddresses(value) {
+  if (!value) return [];
+  if (Array.isArray(value)) return value.flatMap(collectAddresses);
+  if (typeof value === 'string') {
+    return (value.match(/[^\s<>,;"]+@[^\s<>,;"]+/g) || []).map(a => a.toLowerCase());
+  }
+  return (value.value || []).map(v => (v.address || '').toLowerCase()).filter(Boolean);
+}
+
+async function findReportForEmail(parsed) {
+  // Replies to one of our own mails identify the case directly
+  const referencedIds = [parsed.inReplyTo, ...[].concat(parsed.references || [])].filter(Boolean);
+  if (referencedIds.length > 0) {
+    const [threads] = await db.query(
+      `SELECT r.* FROM email_logs e JOIN reports r ON e.report_id = r.id
+       WHERE e.direction = 'outbound' AND e.message_id IN (?) AND r.status <> 'draft' LIMIT 1`,
+      [referencedIds]
+    );
+    if (threads[0]) return threads[0];
+  }
+
+  const recipients = [
+    ...collectAddresses(parsed.to),
+    ...collectAddresses(parsed.cc),
+    ...collectAddresses(parsed.headers.get('delivered-to')),
+    ...collectAddresses(parsed.headers.get('x-original-to'))
+  ];
+
+  // Prefer the case address (ruo-yymm-nnnn@MAIL_DOMAIN), fall back to the subject
+  let caseNumber = null;
+  for (const address of recipients) {
+    const [local, domain] = address.split('@');
+    if (domain === CONFIG.mailDomain.toLowerCase() && CASE_ADDRESS_PATTERN.test(local)) {
+      caseNumber = local.toUpperCase();
+      break;
+    }
+  }
+
+  if (!caseNumber) {
+    const match = (parsed.subject || '').match(CASE_NUMBER_PATTERN);
+    if (match) caseNumber = match[0].toUpperCase();
+  }
+
+  if (!caseNumber) return null;
+
+  // Drafts have no correspondence with an authority yet
+  const [reports] = await db.execute(
+    'SELECT * FROM reports WHERE case_number = ? AND status <> "draft"',
+    [caseNumber]
+  );
+
+  return reports[0] || null;
+}
+
+// Anybody can put a case number in a subject. Only mails from an address the case went to (report,
+// escalation, reminder) or from its district/DPA count as the authority's answer and stop reminders
+async function isAuthoritySender(report, fromEmail) {
+  if (!fromEmail) return false;
+  const sender = fromEmail.toLowerCase();
+
+  const [sent] = await db.execute(
+    `SELECT 1 FROM email_logs
+     WHERE report_id = ? AND direction = 'outbound' AND recipient_type IS NOT NULL AND LOWER(to_email) = ?
+     LIMIT 1`,
+    [report.id, sender]
+  );
+  if (sent[0]) return true;
+
+  const addresses = [getSupervisoryAuthority(report.location_state)?.email];
+  if (report.district_id) {
+    const [districts] = await db.execute('SELECT email FROM districts WHERE id = ?', [report.district_id]);
+    addresses.push(districts[0]?.email);
+  }
+
+  return addresses.some(address => address && address.toLowerCase() === sender);
+}
+
+async function ingestInboundEmail(source) {
+  const parsed = await simpleParser(source);
+  const messageId = parsed.messageId || null;
+
+  if (messageId) {
+    const [existing] = await db.execute(
+      'SELECT id FROM email_logs WHERE message_id = ?',
+      [messageId]
+    );
+    if (existing[0]) {
+      console.log(`ℹ️  Inbound email ${messageId} already stored, skipping`);
+      return { status: 'duplicate' };
+    }
+  }
+
+  const report = await findReportForEmail(parsed);
+  if (!report) {
+    console.log(`⚠️  Inbound email "${parsed.subject || ''}" could not be matched to a report`);
+    return { status: 'unmatched' };
+  }
+
+  const fromEmail = parsed.from?.value?.[0]?.address || null;
+  const body = getInboundText(parsed);
+  const fromAuthority = await isAuthoritySender(report, fromEmail);
+  const attachments = parsed.attachments.map((attachment, index) => ({
+    filename: sanitizeFilename(attachment.filename || `anhang-${index + 1}`),
+    size: attachment.size || attachment.content.length
+  }));
+
+  // Attachments go to disk first; the log row (which the message_id dedupe looks at) and the
+  // documents are written together, so a failure leaves nothing behind and the next poll retries
+  const docDir = getDocumentDir(report.case_number);
+  await fs.mkdir(docDir, { recursive: true });
+
+  const files = [];
+  try {
+    for (const [index, attachment] of parsed.attachments.entries()) {
+      const filepath = path.join(docDir, `${Date.now()}-${index}-${attachments[index].filename}`);
+      await fs.writeFile(filepath, attachment.content);
+      files.push(filepath);
+    }
+  } catch (error) {
+    await Promise.all(files.map(filepath => fs.unlink(filepath).catch(() => {})));
+    throw error;
+  }
+
+  const connection = await db.getConnection();
+  let logResult;
+  try {
+    await connection.beginTransaction();
+
+    [logResult] = await connection.execute(
+      'INSERT INTO email_logs (report_id, direction, from_authority, from_email, to_email, subject, body, message_id, in_reply_to, attachments, sent_at) VALUES (?, "inbound", ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+      [
+        report.id,
+        fromAuthority,
+        fromEmail,
+        getCaseEmailAddress(report.case_number),
+        parsed.subject || null,
+        body,
+        messageId,
+        parsed.inReplyTo || null,
+        JSON.stringify(attachments),
+        parsed.date || new Date()
+      ]
+    );
+
+    // Attachments become authority documents
+    for (const [index, attachment] of parsed.attachments.entries()) {
+      await connection.execute(
+        'INSERT INTO documents (report_id, filename, filepath, file_type, mime_type, file_size, uploaded_by_user, notes) VALUES (?, ?, ?, ?, ?, ?, FALSE, ?)',
+        [
+          report.id,
+          attachments[index].filename,
+          files[index],
+          path.extname(attachments[index].filename).slice(1).toLowerCase() || 'bin',
+          attachment.contentType || null,
+          attachments[index].size,
+          `Anhang der E-Mail von ${fromEmail || 'unbekannt'}`
+        ]
+      );
+    }
+
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    await Promise.all(files.map(filepath => fs.unlink(filepath).catch(() => {})));
+    throw error;
+  } finally {
+    connection.release();
+  }
+
+  console.log(`✅ Inbound email stored for ${report.case_number} (${parsed.attachments.length} Anhang/Anhänge)${fromAuthority ? '' : `, ${fromEmail || 'unknown sender'} is not an authority of the case`}`);
+
+  await emitWebhookEvent('email.received', report.id, {
+    email: {
+      id: logResult.insertId,
+      from: fromEmail,
+      from_authority: fromAuthority,
+      subject: parsed.subject || null,
+      text: redactPortalLinks(body),
+      received_at: parsed.date || new Date(),
+      attachments
+    }
+  });
+
+  if (report.user_id) {
+    await notifyUser(report.user_id, {
+      reportId: report.id,
+      type: 'email_received',
+      title: `${fromAuthority ? 'Neue Antwort' : 'Neue E-Mail'} zu ${report.case_number}`,
+      body: `E-Mail von ${fromEmail || 'unbekannt'}${parsed.subject ? `: ${parsed.subject}` : ''}${parsed.attachments.length > 0 ? ` (${parsed.attachments.length} Anhang/Anhänge)` : ''}`
+    });
+  }
+
+  return { status: 'stored', reportId: report.id };
+}
+
+async function pollImapMailbox() {
+  const client = new ImapFlow({
+    host: CONFIG.imap.host,
+    port: CONFIG.imap.port,
+    secure: CONFIG.imap.secure,
+    auth: CONFIG.imap.auth,
+    logger: false
+  });
+  client.on('error', error => console.error('IMAP error:', error.message));
+
+  await client.connect();
+  const lock = await client.getMailboxLock(CONFIG.imap.mailbox);
+
+  try {
+    const uids = await client.search({ seen: false }, { uid: true });
+
+    for (const uid of uids) {
+      try {
+        const message = await client.fetchOne(uid, { source: true }, { uid: true });
+        await ingestInboundEmail(message.source);
+
+        // Unmatched mails are flagged as well and stay in the catch-all for manual handling
+        await client.messageFlagsAdd(uid, ['\\Seen'], { uid: true });
+      } catch (error) {
+        console.error(`Failed to ingest IMAP message ${uid}:`, error.message);
+      }
+    }
+  } finally {
+    lock.release();
+    await client.logout();
+  }
+}
+
+async function pollEmlDirectory() {
+  const dir = CONFIG.inbound.emlDir;
+  const processedDir = path.join(dir, 'processed');
+  await fs.mkdir(processedDir, { recursive: true });
+
+  const files = (await fs.readdir(dir)).filter(f => f.toLowerCase().endsWith('.eml'));
+
+  for (const file of files) {
+    const filePath = path.join(dir, file);
+    try {
+      await ingestInboundEmail(await fs.readFile(filePath));
+      await fs.rename(filePath, path.join(processedDir, file));
+    } catch (error) {
+      console.error(`Failed to ingest ${filePath}:`, error.message);
+    }
+  }
+}
+
+async function pollInbound() {
+  if (inboundPollRunning) return;
+  inboundPollRunning = true;
+
+  try {
+    if (CONFIG.inbound.emlDir) {
+      await pollEmlDirectory();
+    }
+    if (CONFIG.imap.host && CONFIG.imap.auth.user) {
+      await pollImapMailbox();
+    }
+  } catch (error) {
+    console.error('Inbound mail poll error:', error.message);
+  } finally {
+    inboundPollRunning = false;
+  }
+}
+
+function startInboundPoller() {
+  if (!CONFIG.inbound.emlDir && !(CONFIG.imap.host && CONFIG.imap.auth.user)) {
+    console.log('ℹ️  No IMAP account or EML directory configured, inbound mail polling disabled');
+    return;
+  }
+
+  pollInbound();
+  setInterval(pollInbound, CONFIG.inbound.pollInterval);
+  console.log(`✅ Inbound mail polling every ${CONFIG.inbound.pollInterval / 1000}s`);
+}
+
+// ============ PUBLIC LISTING ============
+// Shared filters for the public report list, the map and the exports.
+// Only published reports: public, not hidden by moderation, already submitted
+const PUBLIC_REPORT_CONDITION = "r.is_public = TRUE AND r.is_hidden = FALSE AND r.status != 'draft'";
+const PUBLIC_STATUSES = ['submitted', 'in_progress', 'completed', 'rejected'];
+const PUBLIC_SORT_KEY = 'COALESCE(r.submitted_at, r.created_at)';
+
+// Builds WHERE conditions from query parameters; returns { error } or { conditions, params }.
+// options.location picks the coordinate columns for bbox (reports or cameras), options.status = false skips status
+function buildPublicReportFilter(query, { location = 'r', status = true } = {}) {
+  const conditions = [PUBLIC_REPORT_CONDITION];
+  const params = [];
+
+  if (status && query.status) {
+    const statuses = String(query.status).split(',');
+    if (statuses.some(s => !PUBLIC_STATUSES.includes(s))) return { error: 'Invalid status' };
+    conditions.push('r.status IN (?)');
+    params.push(statuses);
+  }
+
+  if (query.violationType) {
+    conditions.push('r.violation_type = ?');
+    params.push(query.violationType);
+  }
+
+  // Full PLZ or a prefix ("85" = region)
+  if (query.zip) {
+    if (!/^\d{1,5}$/.test(query.zip)) return { error: 'Invalid zip' };
+    conditions.push('r.location_zip LIKE ?');
+    params.push(`${query.zip}%`);
+  }
+
+  if (query.districtId) {
+    conditions.push('r.district_id = ?');
+    params.push(parseInt(query.districtId) || 0);
+  }
+
+  for (const [key, operator] of [['from', '>='], ['to', '<']]) {
+    if (!query[key]) continue;
+    const date = new Date(query[key]);
+    if (Number.isNaN(date.getTime())) return { error: `Invalid ${key} date` };
+    // "to" is inclusive for plain dates (to=2025-03-31 includes that day)
+    if (key === 'to' && /^\d{4}-\d{2}-\d{2}$/.test(query[key])) date.setDate(date.getDate() + 1);
+    conditions.push(`${PUBLIC_SORT_KEY} ${operator} ?`);
+    params.push(date);
+  }
+
+  // bbox=minLng,minLat,maxLng,maxLat (Leaflet's toBBoxString)
+  if (query.bbox) {
+    const bbox = String(query.bbox).split(',').map(Number);
+    if (bbox.length !== 4 || bbox.some(Number.isNaN)) return { error: 'Invalid bbox' };
+    conditions.push(`${location}.location_lng BETWEEN ? AND ? AND ${location}.location_lat BETWEEN ? AND ?`);
+    params.push(bbox[0], bbox[2], bbox[1], bbox[3]);
+  }
+
+  // Full-text search over the address; every word must match (prefix match). Notes are never
+  // published (they may name people), so they can't be searched either
+  if (query.q) {
+    const terms = String(query.q).split(/\s+/)
+      .map(term => term.replace(/[+\-<>()~*"@]/g, ''))
+      .filter(term => term.length > 0);
+    if (terms.length > 0) {
+      conditions.push('MATCH(r.location_address) AGAINST (? IN BOOLEAN MODE)');
+      params.push(terms.map(term => `+${term}*`).join(' '));
+    }
+  }
+
+  return { conditions, params };
+}
+
+// The only reporter data in public payloads: the self-chosen pseudonym and, if the reporter
+// opted in, the id of their public profile. Name and e-mail stay in the authenticated API.
+const PUBLIC_REPORTER_COLUMNS = `CASE WHEN r.hide_username = TRUE THEN NULL ELSE u.display_name END as reporter_name,
+              CASE WHEN r.hide_username = FALSE AND u.public_profile = TRUE THEN u.public_id END as reporter_profile`;
+
+// Pseudonyms are shown publicly, so they must not look like an e-mail address
+const DISPLAY_NAME_PATTERN = /^[\p{L}\p{N}][\p{L}\p{N} ._-]{1,48}[\p{L}\p{N}]$/u;
+
+// Returns { error } or { displayName } (null removes the pseudonym)
+function validateDisplayName(input) {
+  if (input === null || input === undefined || String(input).trim() === '') {
+    return { displayName: null };
+  }
+  const displayName = String(input).trim().replace(/\s+/g, ' ');
+  if (!DISPLAY_NAME_PATTERN.test(displayName)) {
+    return { error: 'Display name must be 3-50 letters, digits, spaces, dots, dashes or underscores' };
+  }
+  return { displayName };
+}
+
+// Opaque cursor for keyset pagination over (sort date, id)
+function encodeCursor(report) {
+  const sortDate = new Date(report.sort_date).toISOString();
+  return Buffer.from(`${sortDate}|${report.id}`).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  const [sortDate, id] = Buffer.from(String(cursor), 'base64url').toString().split('|');
+  const date = new Date(sortDate);
+  return Number.isNaN(date.getTime()) || !parseInt(id) ? null : { date, id: parseInt(id) };
+}
+
+// ---- Open data exports ----
+const MAX_EXPORT_ROWS = 10000;
+const FEED_SIZE = 50;
+// Without a status filter the feed only shows new and resolved reports
+const FEED_STATUSES = ['submitted', 'completed', 'rejected'];
+const STATUS_LABELS = {
+  submitted: 'Versendet',
+  in_progress: 'In Bearbeitung',
+  completed: 'Abgeschlossen',
+  rejected: 'Abgelehnt'
+};
+// When the report reached its current status (moderation entries keep the status and don't count)
+const STATUS_CHANGED_AT_SQL = `(SELECT MAX(sh.created_at) FROM status_history sh
+  WHERE sh.report_id = r.id AND sh.new_status = r.status AND NOT (sh.old_status <=> sh.new_status))`;
+const EXPORT_COLUMNS = [
+  'case_number', 'status', 'violation_type', 'location_address', 'location_zip',
+  'location_lat', 'location_lng', 'district', 'camera_id', 'reporter',
+  'submitted_at', 'status_changed_at', 'photo_count'
+];
+
+// Published fields only: no e-mail addresses, no free-text notes (may name people), no photo paths.
+// The reporter's pseudonym is only included if the reporter did not hide it.
+async function getPublicExportRows(filter, { orderBy = `${PUBLIC_SORT_KEY} DESC, r.id DESC`, limit = MAX_EXPORT_ROWS } = {}) {
+  const [rows] = await db.query(
+    `SELECT r.case_number, r.status, r.violation_type, r.location_address, r.location_zip,
+            r.location_lat, r.location_lng, d.name as district, r.camera_id,
+            CASE WHEN r.hide_username = TRUE THEN NULL ELSE u.display_name END as reporter,
+            r.submitted_at, ${STATUS_CHANGED_AT_SQL} as status_changed_at,
+            (SELECT COUNT(*) FROM photos WHERE report_id = r.id AND media_type = 'photo' AND public_filepath IS NOT NULL) as photo_count
+     FROM reports r
+     LEFT JOIN users u ON r.user_id = u.id
+     LEFT JOIN districts d ON r.district_id = d.id
+     WHERE ${filter.conditions.join(' AND ')}
+     ORDER BY ${orderBy}
+     LIMIT ?`,
+    [...filter.params, limit]
+  );
+
+  return rows.map(row => ({
+    ...row,
+    location_lat: row.location_lat === null ? null : Number(row.location_lat),
+    location_lng: row.location_lng === null ? null : Number(row.location_lng)
+  }));
+}
+
+function getPublicReportUrl(caseNumber) {
+  return `${CONFIG.publicUrl}/api/public/reports/${encodeURIComponent(caseNumber)}`;
+}
+
+function formatExportDate(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// ---- Statistics ----
+const RESOLVED_STATUSES = ['completed', 'rejected'];
+const SECONDS_PER_DAY = 24 * 60 * 60;
+
+function toRate(part, total) {
+  return total > 0 ? Math.round(part / total * 1000) / 1000 : null;
+}
+
+function toMonth(date) {
+  return new Date(date).toISOString().slice(0, 7);
+}
+
+// Response time = submission until the first mail from the authority or the first status change by
+// anyone after "submitted", whichever comes first; NULL while the authority hasn't reacted.
+// The first reactions are grouped once per query instead of a subquery per report
+const RESPONSE_JOINS_SQL = `LEFT JOIN (SELECT el.report_id, MIN(el.sent_at) as first_at
+    FROM email_logs el JOIN reports sr ON sr.id = el.report_id
+    WHERE el.direction = 'inbound' AND el.from_authority = TRUE AND el.sent_at >= sr.submitted_at
+    GROUP BY el.report_id) inbound ON inbound.report_id = r.id
+  LEFT JOIN (SELECT sh.report_id, MIN(sh.created_at) as first_at
+    FROM status_history sh
+    WHERE sh.old_status = 'submitted' AND sh.new_status != 'submitted'
+    GROUP BY sh.report_id) changed ON changed.report_id = r.id`;
+const RESPONSE_SECONDS_SQL = `GREATEST(0, TIMESTAMPDIFF(SECOND, r.submitted_at,
+  LEAST(COALESCE(inbound.first_at, changed.first_at), COALESCE(changed.first_at, inbound.first_at))))`;
+
+// Unfiltered statistics (the default view of stats.html) are shared for a short time
+const PUBLIC_STATS_CACHE_TTL = 60 * 1000;
+let publicStatsCache = null;
+
+function emptyStatusCounts() {
+  return Object.fromEntries(PUBLIC_STATUSES.map(status => [status, 0]));
+}
+
+// Counters and rates for a group of reports: resolutionRate = closed / all,
+// successRate = completed / closed, medianResponseDays over reports with a reaction
+function summarizeReports(byStatus, { answered = 0, medianSeconds = null } = {}) {
+  const total = Object.values(byStatus).reduce((sum, count) => sum + count, 0);
+  const resolved = byStatus.completed + byStatus.rejected;
+
+  return {
+    total,
+    byStatus,
+    resolutionRate: toRate(resolved, total),
+    successRate: toRate(byStatus.completed, resolved),
+    answered,
+    medianResponseDays: medianSeconds === null ? null : Math.round(medianSeconds / SECONDS_PER_DAY * 10) / 10
+  };
+}
+
+// Everything is aggregated in SQL: the result size depends on the number of districts,
+// violation types and months, not on the number of reports
+async function getPublicStats(filter) {
+  const where = filter.conditions.join(' AND ');
+
+  const [counts] = await db.query(
+    `SELECT r.district_id, MAX(d.name) as district_name, MAX(d.zip) as district_zip,
+            r.violation_type, r.status, COUNT(*) as count
+     FROM reports r
+     LEFT JOIN districts d ON r.district_id = d.id
+     WHERE ${where}
+     GROUP BY r.district_id, r.violation_type, r.status`,
+    filter.params
+  );
+
+  // MariaDB's MEDIAN() is a window function: one row per district/type combination carries
+  // the medians of its district, its type and of all reports
+  const [responses] = await db.query(
+    `SELECT DISTINCT district_id, violation_type,
+            COUNT(*) OVER (PARTITION BY district_id) as district_answered,
+            MEDIAN(response_seconds) OVER (PARTITION BY district_id) as district_median,
+            COUNT(*) OVER (PARTITION BY violation_type) as type_answered,
+            MEDIAN(response_seconds) OVER (PARTITION BY violation_type) as type_median,
+            COUNT(*) OVER () as total_answered,
+            MEDIAN(response_seconds) OVER () as total_median
+     FROM (SELECT r.district_id, r.violation_type, ${RESPONSE_SECONDS_SQL} as response_seconds
+           FROM reports r
+           ${RESPONSE_JOINS_SQL}
+           WHERE ${where}) responses
+     WHERE response_seconds IS NOT NULL`,
+    filter.params
+  );
+
+  // Submitted per month of submission, resolved per month of the final status change
+  const [months] = await db.query(
+    `SELECT month, SUM(submitted) as submitted, SUM(resolved) as resolved
+     FROM (SELECT DATE_FORMAT(r.submitted_at, '%Y-%m') as month, 1 as submitted, 0 as resolved
+           FROM reports r WHERE ${where}
+           UNION ALL
+           SELECT DATE_FORMAT(${STATUS_CHANGED_AT_SQL}, '%Y-%m'), 0, 1
+           FROM reports r WHERE ${where} AND r.status IN (?)) events
+     WHERE month IS NOT NULL
+     GROUP BY month
+     ORDER BY month`,
+    [...filter.params, ...filter.params, RESOLVED_STATUSES]
+  );
+
+  const toResponses = (answered, medianSeconds) => ({
+    answered: Number(answered),
+    medianSeconds: medianSeconds === null ? null : Number(medianSeconds)
+  });
+
+  const totals = emptyStatusCounts();
+  const districts = new Map();
+  const violationTypes = new Map();
+
+  for (const row of counts) {
+    const count = Number(row.count);
+    totals[row.status] += count;
+
+    if (!districts.has(row.district_id)) {
+      districts.set(row.district_id, { name: row.district_name || null, zip: row.district_zip || null, byStatus: emptyStatusCounts() });
+    }
+    districts.get(row.district_id).byStatus[row.status] += count;
+
+    const violationType = row.violation_type || null;
+    if (!violationTypes.has(violationType)) violationTypes.set(violationType, emptyStatusCounts());
+    violationTypes.get(violationType)[row.status] += count;
+  }
+
+  const districtResponses = new Map(responses.map(row => [row.district_id, toResponses(row.district_answered, row.district_median)]));
+  const typeResponses = new Map(responses.map(row => [row.violation_type || null, toResponses(row.type_answered, row.type_median)]));
+
+  return {
+    totals: summarizeReports(totals, responses[0] ? toResponses(responses[0].total_answered, responses[0].total_median) : undefined),
+    byDistrict: [...districts.entries()]
+      .map(([districtId, district]) => ({
+        districtId,
+        name: district.name,
+        zip: district.zip,
+        ...summarizeReports(district.byStatus, districtResponses.get(districtId))
+      }))
+      .sort((a, b) => b.total - a.total),
+    byViolationType: [...violationTypes.entries()]
+      .map(([violationType, byStatus]) => ({ violationType, ...summarizeReports(byStatus, typeResponses.get(violationType)) }))
+      .sort((a, b) => b.total - a.total),
+    byMonth: months.map(row => ({ month: row.month, submitted: Number(row.submitted), resolved: Number(row.resolved) }))
+  };
+}
+
+// ============ API ENDPOINTS ============
+
+// Health Check
+app.get('/api/health', (req, res) => {
+  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+});
+
+// ---- AUTH ----
+app.post('/api/register', async (req, res) => {
+  try {
+    const { password, name } = req.body;
+    const email = String(req.body.email || '').trim();
+
+    if (!email || !password) {
+      return res.status(400).json({ error: 'Email and password required' });
+    }
+
+    if (!EMAIL_PATTERN.test(email)) {
+      return res.status(400).json({ error: 'Invalid email address' });
+    }
+
+    const passwordError = validatePassword(password, email);
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError });
+    }
+
+    const passwordHash = await bcrypt.hash(password, 10);
+
+    const [result] = await db.execute(
+      'INSERT INTO users (email, password_hash, name, password_changed_at) VALUES (?, ?, ?, NOW())',
+      [email, passwordHash, name || null]
+    );
+
+    try {
+      await sendVerificationEmail({ id: result.insertId, email, name });
+    } catch (error) {
+      // The user can request a new link later
+      console.error('Verification email error:', error);
+    }
+
+    const tokens = await createSession({ id: result.insertId, email, role: 'reporter' }, req);
+
+    res.json({
+      ...tokens,
+      user: { id: result.insertId, email, name: name || null, role: 'reporter', emailVerified: false }
+    });
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ error: 'Email already exists' });
+    }
+    console.error('Register error:', error);
+    res.status(500).json({ error: 'Registration failed' });
+  }
+});
+
+app.post('/api/login', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    if (isAuthThrottled(req, 'login')) {
+      return res.status(429).json({ error: 'Too many login attempts, try again later' });
+    }
+
+    const [users] = await db.execute(
+      'SELECT *, TIMESTAMPDIFF(SECOND, NOW(), locked_until) as locked_seconds FROM users WHERE email = ?',
+      [email || '']
+    );
+
+    if (!users[0]) {
+      recordAuthAttempt(req, 'login');
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+
+    const user = users[0];
+
+    if (user.locked_seconds > 0) {
+      res.setHeader('Retry-After', user.locked_seconds);
+      return res.status(429).json({ error: 'Account temporarily locked after too many failed logins' });
+    }
+
+    const valid = await bcrypt.compare(String(password || ''), user.password_hash);
+
+    if (!valid) {
+      recordAuthAttempt(req, 'login');
+      // locked_until is assigned first so it sees the old counter in MySQL and MariaDB alike
+      await db.execute(
+        `UPDATE users
+         SET locked_until = IF(failed_login_count + 1 >= ?, DATE_ADD(NOW(), INTERVAL ? MINUTE), locked_until),
+             failed_login_count = IF(failed_login_count + 1 >= ?, 0, failed_login_count + 1)
+         WHERE id = ?`,
+        [CONFIG.auth.maxFailedLogins, CONFIG.auth.lockoutMinutes, CONFIG.auth.maxFailedLogins, user.id]
+      );
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+
+    if (user.disabled_at) {
+      return res.status(403).json({ error: 'Account disabled' });
+    }
+
+    if (user.failed_login_count > 0 || user.locked_until) {
+      await db.execute('UPDATE users SET failed_login_count = 0, locked_until = NULL WHERE id = ?', [user.id]);
+    }
+
+    const tokens = await createSession(user, req);
+
+    res.json({
+      ...tokens,
+      user: {
+        id: user.id, email: user.email, name: user.name, role: user.role,
+        emailVerified: !!user.email_verified_at, deleteAfter: user.delete_after
+      }
+    });
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ error: 'Login failed' });
+  }
+});
+
+app.post('/api/token/refresh', async (req, res) => {
+  try {
+    if (!req.body.refreshToken) {
+      return res.status(400).json({ error: 'Refresh token required' });
+    }
+
+    const tokens = await rotateSession(String(req.body.refreshToken), req);
+
+    if (!tokens) {
+      return res.status(401).json({ error: 'Session expired' });
+    }
+
+    res.json(tokens);
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ error: 'Failed to refresh session' });
+  }
+});
+
+// Works with an expired access token too: the refresh token identifies the session
+app.post('/api/logout', async (req, res) => {
+  try {
+    if (req.body.refreshToken) {
+      const hash = hashToken(req.body.refreshToken);
+      await db.execute(
+        'UPDATE sessions SET revoked_at = NOW() WHERE (refresh_token_hash = ? OR previous_token_hash = ?) AND revoked_at IS NULL',
+        [hash, hash]
+      );
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Logout failed' });
+  }
+});
+
+app.get('/api/me/sessions', authMiddleware, async (req, res) => {
+  try {
+    const [sessions] = await db.execute(
+      `SELECT id, user_agent, ip_address, created_at, last_used_at, expires_at
+       FROM sessions
+       WHERE user_id = ? AND revoked_at IS NULL AND expires_at > NOW()
+       ORDER BY COALESCE(last_used_at, created_at) DESC`,
+      [req.user.id]
+    );
+
+    res.json({
+      sessions: sessions.map(session => ({ ...session, current: session.id === req.user.sessionId }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ error: 'Failed to get sessions' });
+  }
+});
+
+// Signs out all other devices
+app.delete('/api/me/sessions', authMiddleware, async (req, res) => {
+  try {
+    await revokeUserSessions(req.user.id, req.user.sessionId);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({ error: 'Failed to revoke sessions' });
+  }
+});
+
+app.delete('/api/me/sessions/:sessionId', authMiddleware, async (req, res) => {
+  try {
+    const [result] = await db.execute(
+      'UPDATE sessions SET revoked_at = NOW() WHERE id = ? AND user_id = ? AND revoked_at IS NULL',
+      [req.params.sessionId, req.user.id]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ error: 'Failed to revoke session' });
+  }
+});
+
+// ---- API TOKENS ----
+// Only with a login session: apiTokenAuth never lets a token reach /api/me/*, so tokens can't mint tokens
+app.get('/api/me/api-tokens', authMiddleware, async (req, res) => {
+  try {
+    const [tokens] = await db.execute(
+      `SELECT id, name, token_hint, scopes, expires_at, last_used_at, created_at
+       FROM api_tokens
+       WHERE user_id = ? AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())
+       ORDER BY created_at DESC`,
+      [req.user.id]
+    );
+
+    res.json({
+      tokens: tokens.map(token => ({ ...token, scopes: token.scopes.split(',') })),
+      scopes: API_TOKEN_SCOPES.filter(scope => !scope.startsWith('admin:') || ['moderator', 'admin'].includes(req.user.role))
+    });
+  } catch (error) {
+    console.error('Get API tokens error:', error);
+    res.status(500).json({ error: 'Failed to get API tokens' });
+  }
+});
+
+app.post('/api/me/api-tokens', authMiddleware, async (req, res) => {
+  try {
+    const name = String(req.body.name || '').trim();
+    const scopes = [...new Set([].concat(req.body.scopes || []))];
+    const expiresInDays = req.body.expiresInDays ? parseInt(req.body.expiresInDays) : null;
+
+    if (!name || name.length > 100) {
+      return res.status(400).json({ error: 'Name is required (max 100 characters)' });
+    }
+
+    if (scopes.length === 0 || !scopes.every(scope => API_TOKEN_SCOPES.includes(scope))) {
+      return res.status(400).json({ error: 'Invalid scopes', allowed: API_TOKEN_SCOPES });
+    }
+
+    // The admin area still checks the role; the scope alone grants nothing there
+    if (scopes.some(scope => scope.startsWith('admin:')) && !['moderator', 'admin'].includes(req.user.role)) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    if (expiresInDays !== null && (isNaN(expiresInDays) || expiresInDays < 1 || expiresInDays > 3650)) {
+      return res.status(400).json({ error: 'expiresInDays must be between 1 and 3650' });
+    }
+
+    const [counts] = await db.execute(
+      'SELECT COUNT(*) as count FROM api_tokens WHERE user_id = ? AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())',
+      [req.user.id]
+    );
+
+    if (counts[0].count >= MAX_API_TOKENS_PER_USER) {
+      return res.status(400).json({ error: `At most ${MAX_API_TOKENS_PER_USER} active API tokens` });
+    }
+
+    const token = `${API_TOKEN_PREFIX}${crypto.randomBytes(32).toString('hex')}`;
+    const tokenHint = `${token.slice(0, 8)}…${token.slice(-4)}`;
+
+    const [result] = await db.execute(
+      `INSERT INTO api_tokens (user_id, name, token_hash, token_hint, scopes, expires_at)
+       VALUES (?, ?, ?, ?, ?, ${expiresInDays ? 'DATE_ADD(NOW(), INTERVAL ? DAY)' : 'NULL'})`,
+      [req.user.id, name, hashToken(token), tokenHint, scopes.join(','), ...(expiresInDays ? [expiresInDays] : [])]
+    );
+
+    console.log(`✅ API token "${name}" created for user ${req.user.id} (${scopes.join(', ')})`);
+
+    // The plain token is shown exactly once
+    res.status(201).json({ id: result.insertId, name, token, token_hint: tokenHint, scopes });
+  } catch (error) {
+    console.error('Create API token error:', error);
+    res.status(500).json({ error: 'Failed to create API token' });
+  }
+});
+
+app.delete('/api/me/api-tokens/:id', authMiddleware, async (req, res) => {
+  try {
+    const [result] = await db.execute(
+      'UPDATE api_tokens SET revoked_at = NOW() WHERE id = ? AND user_id = ? AND revoked_at IS NULL',
+      [req.params.id, req.user.id]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'API token not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Revoke API token error:', error);
+    res.status(500).json({ error: 'Failed to revoke API token' });
+  }
+});
+
+app.post('/api/verify-email', async (req, res) => {
+  try {
+    const token = await findUserToken(req.body.token, 'verify_email');
+
+    if (!token || !(await markUserTokenUsed(token.id))) {
+      return res.status(400).json({ error: 'Invalid or expired link' });
+    }
+
+    await db.execute(
+      'UPDATE users SET email_verified_at = COALESCE(email_verified_at, NOW()) WHERE id = ?',
+      [token.user_id]
+    );
+
+    res.json({ success: true, email: token.email });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ error: 'Failed to verify email' });
+  }
+});
+
+app.post('/api/verify-email/resend', authMiddleware, async (req, res) => {
+  try {
+    const [users] = await db.execute(
+      'SELECT id, email, name, email_verified_at FROM users WHERE id = ?',
+      [req.user.id]
+    );
+
+    if (!users[0]) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (users[0].email_verified_at) {
+      return res.status(400).json({ error: 'Email already verified' });
+    }
+
+    await sendVerificationEmail(users[0]);
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ error: 'Failed to send verification email' });
+  }
+});
+
+// Always answers success so the form can't be used to find out which addresses have an account
+app.post('/api/password/forgot', async (req, res) => {
+  try {
+    if (isAuthThrottled(req, 'forgot')) {
+      return res.status(429).json({ error: 'Too many requests, try again later' });
+    }
+    recordAuthAttempt(req, 'forgot');
+
+    const [users] = await db.execute(
+      'SELECT id, email, name FROM users WHERE email = ? AND disabled_at IS NULL',
+      [String(req.body.email || '').trim()]
+    );
+
+    if (users[0]) {
+      await sendPasswordResetEmail(users[0]);
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ error: 'Failed to request password reset' });
+  }
+});
+
+app.post('/api/password/reset', async (req, res) => {
+  try {
+    const token = await findUserToken(req.body.token, 'password_reset');
+
+    if (!token) {
+      return res.status(400).json({ error: 'Invalid or expired link' });
+    }
+
+    const passwordError = validatePassword(req.body.password, token.email);
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError });
+    }
+
+    if (!(await markUserTokenUsed(token.id))) {
+      return res.status(400).json({ error: 'Invalid or expired link' });
+    }
+
+    const passwordHash = await bcrypt.hash(req.body.password, 10);
+
+    // The link came through the mailbox, so the address is verified as well
+    await db.execute(
+      `UPDATE users
+       SET password_hash = ?, password_changed_at = NOW(), failed_login_count = 0, locked_until = NULL,
+           email_verified_at = COALESCE(email_verified_at, NOW())
+       WHERE id = ?`,
+      [passwordHash, token.user_id]
+    );
+
+    // Whoever knew the old password is signed out everywhere
+    await revokeUserSessions(token.user_id);
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ error: 'Failed to reset password' });
+  }
+});
+
+app.put('/api/me/password', authMiddleware, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    const [users] = await db.execute(
+      'SELECT id, email, password_hash FROM users WHERE id = ?',
+      [req.user.id]
+    );
+
+    if (!users[0]) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (!(await bcrypt.compare(String(currentPassword || ''), users[0].password_hash))) {
+      // Not 401: that would look like an expired session to the client
+      return res.status(400).json({ error: 'Current password is wrong' });
+    }
+
+    const passwordError = validatePassword(newPassword, users[0].email);
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError });
+    }
+
+    const passwordHash = await bcrypt.hash(newPassword, 10);
+    await db.execute(
+      'UPDATE users SET password_hash = ?, password_changed_at = NOW() WHERE id = ?',
+      [passwordHash, req.user.id]
+    );
+
+    // Other devices have to log in with the new password
+    await revokeUserSessions(req.user.id, req.user.sessionId);
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ error: 'Failed to change password' });
+  }
+});
+
+app.get('/api/me', authMiddleware, async (req, res) => {
+  try {
+    const [users] = await db.execute(
+      `SELECT id, email, name, role, display_name, public_profile, public_id, notification_email,
+              email_verified_at, delete_after, created_at
+       FROM users WHERE id = ?`,
+      [req.user.id]
+    );
+
+    if (!users[0]) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const { delete_after: deleteAfter, ...user } = users[0];
+    res.json({
+      user: { ...user, emailVerified: !!user.email_verified_at, deleteAfter },
+      // Lets integrations check what their token may do
+      ...(req.user.apiTokenId ? { apiToken: { id: req.user.apiTokenId, scopes: req.user.scopes } } : {})
+    });
+  } catch (error) {
+    console.error('Get user error:', error);
+    res.status(500).json({ error: 'Failed to get user' });
+  }
+});
+
+// ZIP with profile, reports, photos, documents and email logs
+app.get('/api/me/export', authMiddleware, async (req, res) => {
+  try {
+    const data = await loadAccountData(req.user.id);
+
+    if (!data.user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const archive = archiver('zip', { zlib: { level: 6 } });
+    archive.on('warning', error => console.error('Export warning:', error.message));
+    archive.on('error', error => {
+      console.error('Export archive error:', error);
+      res.destroy(error);
+    });
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="ruo-datenauskunft-${new Date().toISOString().slice(0, 10)}.zip"`);
+    archive.pipe(res);
+
+    await writeAccountArchive(data, archive);
+    await archive.finalize();
+  } catch (error) {
+    console.error('Account export error:', error);
+    if (res.headersSent) {
+      res.destroy(error);
+    } else {
+      res.status(500).json({ error: 'Failed to export account data' });
+    }
+  }
+});
+
+// Schedules the deletion; the account stays usable (and the deletion cancellable) during the grace period
+app.delete('/api/me', authMiddleware, async (req, res) => {
+  try {
+    const [users] = await db.execute(
+      'SELECT id, email, name, password_hash, delete_after FROM users WHERE id = ?',
+      [req.user.id]
+    );
+
+    if (!users[0]) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (!(await bcrypt.compare(String(req.body.password || ''), users[0].password_hash))) {
+      return res.status(400).json({ error: 'Password is wrong' });
+    }
+
+    // It would be created again on the next start
+    if (users[0].email === CONFIG.masterAccount.email) {
+      return res.status(400).json({ error: 'The master account cannot be deleted' });
+    }
+
+    await db.execute(
+      `UPDATE users
+       SET deletion_requested_at = NOW(), delete_after = DATE_ADD(NOW(), INTERVAL ? DAY)
+       WHERE id = ? AND delete_after IS NULL`,
+      [CONFIG.accounts.deletionGraceDays, req.user.id]
+    );
+
+    const [updated] = await db.execute('SELECT delete_after FROM users WHERE id = ?', [req.user.id]);
+    const deleteAfter = updated[0].delete_after;
+
+    // Nobody else should be able to cancel it from another device
+    await revokeUserSessions(req.user.id, req.user.sessionId);
+
+    if (!users[0].delete_after) {
+      await queueEmail({
+        emailType: 'account_deletion',
+        logToThread: false,
+        from: CONFIG.systemEmail,
+        to: users[0].email,
+        subject: 'Ihr Konto wird gelöscht',
+        text: `Hallo ${users[0].name || ''},
+
+Sie haben die Löschung Ihres Kontos bei RechtUndOrdnung beantragt. Das Konto wird am ${formatDateTime(deleteAfter)} endgültig gelöscht.
+
+Bis dahin können Sie sich anmelden und die Löschung unter „Mein Konto“ widerrufen.
+
+Entwürfe werden vollständig gelöscht. Bereits versendete Anzeigen bleiben als Vorgang bei der Behörde bestehen, werden aber von Ihrem Konto getrennt und enthalten danach keine Angaben mehr zu Ihrer Person.
+
+Ihr RechtUndOrdnung-Team`,
+        userId: req.user.id
+      });
+    }
+
+    res.json({ success: true, deleteAfter });
+  } catch (error) {
+    console.error('Delete account error:', error);
+    res.status(500).json({ error: 'Failed to delete account' });
+  }
+});
+
+app.delete('/api/me/deletion', authMiddleware, async (req, res) => {
+  try {
+    const [result] = await db.execute(
+      'UPDATE users SET deletion_requested_at = NULL, delete_after = NULL WHERE id = ? AND delete_after IS NOT NULL',
+      [req.user.id]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(400).json({ error: 'No deletion scheduled' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Cancel account deletion error:', error);
+    res.status(500).json({ error: 'Failed to cancel deletion' });
+  }
+});
+
+// Pseudonym and opt-in public profile
+app.put('/api/me/profile', authMiddleware, async (req, res) => {
+  try {
+    const { displayName, error } = validateDisplayName(req.body.displayName);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const publicProfile = !!req.body.publicProfile;
+
+    if (publicProfile && !displayName) {
+      return res.status(400).json({ error: 'A public profile needs a display name' });
+    }
+
+    // The profile id is random and stays the same when the pseudonym changes
+    await db.execute(
+      `UPDATE users
+       SET display_name = ?, public_profile = ?, public_id = COALESCE(public_id, ?)
+       WHERE id = ?`,
+      [displayName, publicProfile, publicProfile ? crypto.randomBytes(8).toString('hex') : null, req.user.id]
+    );
+
+    const [users] = await db.execute(
+      'SELECT display_name, public_profile, public_id FROM users WHERE id = ?',
+      [req.user.id]
+    );
+
+    res.json({ profile: users[0] });
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ error: 'Display name already taken' });
+    }
+    console.error('Update profile error:', error);
+    res.status(500).json({ error: 'Failed to update profile' });
+  }
+});
+
+// ---- REPORTS ----
+app.post('/api/reports', authMiddleware, async (req, res) => {
+  try {
+    const caseNumber = generateCaseNumber();
+
+    const [result] = await db.execute(
+      'INSERT INTO reports (case_number, user_id, status) VALUES (?, ?, "draft")',
+      [caseNumber, req.user.id]
+    );
+
+    await emitWebhookEvent('report.created', result.insertId);
+
+    res.json({
+      id: result.insertId,
+      caseNumber,
+      status: 'draft'
+    });
+  } catch (error) {
+    console.error('Create report error:', error);
+    res.status(500).json({ error: 'Failed to create report' });
+  }
+});
+
+app.get('/api/reports', authMiddleware, async (req, res) => {
+  try {
+    const [reports] = await db.execute(
+      `SELECT r.*,
+              (SELECT COUNT(*) FROM photos WHERE report_id = r.id) as photo_count
+       FROM reports r
+       WHERE r.user_id = ?
+       ORDER BY r.created_at DESC`,
+      [req.user.id]
+    );
+
+    const deadlines = await getDeadlineInfo(reports);
+
+    res.json({
+      reports: reports.map(report => ({ ...report, deadline: deadlines[report.id] || null }))
+    });
+  } catch (error) {
+    console.error('Get reports error:', error);
+    res.status(500).json({ error: 'Failed to get reports' });
+  }
+});
+
+app.get('/api/reports/:id', authMiddleware, async (req, res) => {
+  try {
+    const [reports] = await db.execute(
+      'SELECT r.*, d.name as district_name, d.email as district_email, d.zip as district_zip FROM reports r LEFT JOIN districts d ON r.district_id = d.id WHERE r.id = ? AND r.user_id = ?',
+      [req.params.id, req.user.id]
+    );
+
+    if (!reports[0]) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    let camera = null;
+    if (reports[0].camera_id) {
+      const [cameras] = await db.execute(
+        `SELECT c.*, (SELECT COUNT(*) FROM reports WHERE camera_id = c.id) as report_count
+         FROM cameras c WHERE c.id = ?`,
+        [reports[0].camera_id]
+      );
+      camera = cameras[0] || null;
+    }
+
+    const [photos] = await db.execute(
+      'SELECT id, filename, media_type, mime_type, lat, lng, taken_at, created_at, public_filepath, auto_blur_regions, manual_blur_regions FROM photos WHERE report_id = ?',
+      [req.params.id]
+    );
+
+    const [documents] = await db.execute(
+      `SELECT ${DOCUMENT_COLUMNS} FROM documents WHERE report_id = ? ORDER BY created_at`,
+      [req.params.id]
+    );
+
+    const [history] = await db.execute(
+      'SELECT * FROM status_history WHERE report_id = ? ORDER BY created_at DESC',
+      [req.params.id]
+    );
+
+    const deadlines = await getDeadlineInfo(reports);
+
+    // Several municipalities share this PLZ: drafts offer the choice
+    let districtChoices = [];
+    if (reports[0].status === 'draft' && reports[0].location_zip) {
+      const [districts] = await db.execute('SELECT * FROM districts WHERE zip = ? ORDER BY name', [reports[0].location_zip]);
+      districtChoices = districts.length > 1 ? districts.map(toDistrictChoice) : [];
+    }
+
+    res.json({
+      report: { ...reports[0], deadline: deadlines[reports[0].id] || null },
+      photos: photos.map(({ public_filepath, auto_blur_regions, manual_blur_regions, ...photo }) => ({
+        ...photo,
+        url: getMediaUrl({ public_filepath }),
+        auto_blur_regions: parseJsonColumn(auto_blur_regions),
+        manual_blur_regions: parseJsonColumn(manual_blur_regions)
+      })),
+      documents,
+      history,
+      allowedTransitions: (STATUS_TRANSITIONS[reports[0].status] || []).filter(s => s !== 'submitted'),
+      supervisoryAuthority: getSupervisoryAuthority(reports[0].location_state),
+      camera,
+      districtChoices
+    });
+  } catch (error) {
+    console.error('Get report error:', error);
+    res.status(500).json({ error: 'Failed to get report' });
+  }
+});
+
+app.put('/api/reports/:id', authMiddleware, async (req, res) => {
+  try {
+    const { violationType, notes, isPublic, hideUsername } = req.body;
+
+    // Verify ownership
+    const [reports] = await db.execute(
+      'SELECT * FROM reports WHERE id = ? AND user_id = ?',
+      [req.params.id, req.user.id]
+    );
+
+    if (!reports[0]) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    await db.execute(
+      'UPDATE reports SET violation_type = ?, notes = ?, is_public = ?, hide_username = ? WHERE id = ?',
+      [violationType || null, notes || null, isPublic !== undefined ? isPublic : true, hideUsername || false, req.params.id]
+    );
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Update report error:', error);
+    res.status(500).json({ error: 'Failed to update report' });
+  }
+});
+
+app.put('/api/reports/:id/location', authMiddleware, async (req, res) => {
+  try {
+    const { lat, lng, address, zip, state } = req.body;
+
+    // Verify ownership
+    const [reports] = await db.execute(
+      'SELECT * FROM reports WHERE id = ? AND user_id = ?',
+      [req.params.id, req.user.id]
+    );
+
+    if (!reports[0]) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    // District directory / weg.li lookup; several municipalities leave the choice to the reporter
+    const { districtId, districtChoices } = await resolveDistrict(zip);
+
+    // Bundesland for the supervisory authority: given by the client or derived from the coordinates
+    let stateCode = STATE_DPAS[state] ? state : null;
+    if (!stateCode && lat && lng) {
+      const location = await geocodeLocation(lat, lng);
+      stateCode = location?.state || null;
+    }
+
+    await db.execute(
+      'UPDATE reports SET location_lat = ?, location_lng = ?, location_address = ?, location_zip = ?, location_state = ?, district_id = ? WHERE id = ?',
+      [lat, lng, address || null, zip || null, stateCode, districtId, req.params.id]
+    );
+
+    res.json({ success: true, districtChoices });
+  } catch (error) {
+    console.error('Update location error:', error);
+    res.status(500).json({ error: 'Failed to update location' });
+  }
+});
+
+// Reporter's choice when several municipalities share the report's PLZ
+app.put('/api/reports/:id/district', authMiddleware, async (req, res) => {
+  try {
+    const [reports] = await db.execute(
+      'SELECT * FROM reports WHERE id = ? AND user_id = ?',
+      [req.params.id, req.user.id]
+    );
+
+    if (!reports[0]) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    if (reports[0].status !== 'draft') {
+      return res.status(400).json({ error: 'Report already submitted' });
+    }
+
+    const [districts] = await db.execute(
+      'SELECT * FROM districts WHERE id = ? AND zip = ?',
+      [req.body.districtId || 0, reports[0].location_zip || '']
+    );
+
+    if (!districts[0]) {
+      return res.status(400).json({ error: 'District does not match the report location' });
+    }
+
+    await db.execute('UPDATE reports SET district_id = ? WHERE id = ?', [districts[0].id, reports[0].id]);
+
+    res.json({ success: true, district: toDistrictChoice(districts[0]) });
+  } catch (error) {
+    console.error('Update district error:', error);
+    res.status(500).json({ error: 'Failed to update district' });
+  }
+});
+
+// Manual Bundesland choice when geocoding didn't yield one
+app.put('/api/reports/:id/state', authMiddleware, async (req, res) => {
+  try {
+    const { state } = req.body;
+
+    if (!STATE_DPAS[state]) {
+      return res.status(400).json({ error: 'Invalid state' });
+    }
+
+    const [result] = await db.execute(
+      'UPDATE reports SET location_state = ? WHERE id = ? AND user_id = ?',
+      [state, req.params.id, req.user.id]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    res.json({ success: true, supervisoryAuthority: getSupervisoryAuthority(state) });
+  } catch (error) {
+    console.error('Update state error:', error);
+    res.status(500).json({ error: 'Failed to update state' });
+  }
+});
+
+app.get('/api/reports/:id/validate', authMiddleware, async (req, res) => {
+  try {
+    const [reports] = await db.execute(
+      'SELECT r.*, d.name as district_name, d.email as district_email FROM reports r LEFT JOIN districts d ON r.district_id = d.id WHERE r.id = ? AND r.user_id = ?',
+      [req.params.id, req.user.id]
+    );
+
+    if (!reports[0]) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    const report = reports[0];
+    const validation = {
+      valid: true,
+      errors: []
+    };
+
+    // Check if the chosen recipient is available
+    if (req.query.recipient === 'dpa') {
+      if (!getSupervisoryAuthority(report.location_state)) {
+        validation.valid = false;
+        validation.errors.push({
+          field: 'state',
+          message: 'Kein Bundesland für den Standort bekannt. Bitte Bundesland auswählen.'
+        });
+      }
+    } else if (!report.district_id || !report.district_email) {
+      validation.valid = false;
+      validation.errors.push({
+        field: 'district',
+        message: 'Kein zuständiges Ordnungsamt gefunden. Bitte Standortinformationen überprüfen.'
+      });
+    }
+
+    // Check if photos exist
+    const [photos] = await db.execute(
+      'SELECT COUNT(*) as count FROM photos WHERE report_id = ?',
+      [req.params.id]
+    );
+
+    if (photos[0].count === 0) {
+      validation.valid = false;
+      validation.errors.push({
+        field: 'photos',
+        message: 'Mindestens ein Foto oder Video erforderlich.'
+      });
+    }
+
+    // Check if violation type is set
+    if (!report.violation_type) {
+      validation.valid = false;
+      validation.errors.push({
+        field: 'violation_type',
+        message: 'Bitte wählen Sie eine Verstoßart aus.'
+      });
+    }
+
+    res.json(validation);
+  } catch (error) {
+    console.error('Validate report error:', error);
+    res.status(500).json({ error: 'Failed to validate report' });
+  }
+});
+
+app.delete('/api/reports/:id', authMiddleware, async (req, res) => {
+  try {
+    // Get report details
+    const [reports] = await db.execute(
+      'SELECT * FROM reports WHERE id = ? AND user_id = ? AND status = "draft"',
+      [req.params.id, req.user.id]
+    );
+
+    if (!reports[0]) {
+      return res.status(404).json({ error: 'Report not found or cannot be deleted' });
+    }
+
+    await deleteDraftReport(reports[0]);
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete report error:', error);
+    res.status(500).json({ error: 'Failed to delete report' });
+  }
+});
+
+// ---- PHOTOS ----
+app.post('/api/photos', authMiddleware, upload.single('photo'), async (req, res) => {
+  try {
+    const { reportId } = req.body;
+    const file = req.file;
+
+    if (!file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    // Verify report ownership
+    const [reports] = await db.execute(
+      'SELECT * FROM reports WHERE id = ? AND user_id = ?',
+      [reportId, req.user.id]
+    );
+
+    if (!reports[0]) {
+      await fs.unlink(file.path);
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    const report = reports[0];
+
+    // Determine if it's a photo or video
+    const isVideo = file.mimetype.startsWith('video/');
+    const mediaType = isVideo ? 'video' : 'photo';
+
+    // Extract EXIF (only for photos)
+    let lat = null, lng = null, takenAt = null;
+    if (!isVideo) {
+      try {
+        const exif = await exifr.parse(file.path, { gps: true });
+        lat = exif?.latitude || null;
+        lng = exif?.longitude || null;
+        takenAt = exif?.DateTimeOriginal || null;
+      } catch (exifError) {
+        console.log('EXIF extraction failed:', exifError.message);
+      }
+    }
+
+    // Move file to permanent location
+    const photoDir = path.join('uploads', report.case_number);
+    await fs.mkdir(photoDir, { recursive: true });
+    const newPath = path.join(photoDir, `${Date.now()}-${sanitizeFilename(file.originalname)}`);
+    await fs.rename(file.path, newPath);
+
+    // Public/web copy without EXIF, GPS and device metadata. Photos get theirs in the background
+    // once faces and plates are detected and blurred (backfillPublicMedia)
+    const publicPath = isVideo ? await createPublicDerivative(newPath, mediaType, []) : null;
+
+    // Save to DB
+    await db.execute(
+      'INSERT INTO photos (report_id, filename, filepath, public_filepath, auto_blur_regions, mime_type, media_type, file_size, lat, lng, taken_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+      [reportId, file.originalname, newPath, publicPath, isVideo ? '[]' : null, file.mimetype, mediaType, file.size, lat, lng, takenAt]
+    );
+
+    if (!isVideo) {
+      setImmediate(backfillPublicMedia);
+    }
+
+    // Prepare response data
+    const responseData = {
+      success: true,
+      photo: {
+        lat,
+        lng,
+        mediaType,
+        url: getMediaUrl({ public_filepath: publicPath }),
+        // The blurred preview appears once the background redaction is done
+        redactionPending: !isVideo
+      }
+    };
+
+    // Update report location if this is first photo with GPS
+    if (lat && lng && !report.location_lat) {
+      // Geocode
+      const location = await geocodeLocation(lat, lng);
+
+      const { districtId, districtChoices } = await resolveDistrict(location?.zip);
+
+      await db.execute(
+        'UPDATE reports SET location_lat = ?, location_lng = ?, location_address = ?, location_zip = ?, location_state = ?, district_id = ? WHERE id = ?',
+        [lat, lng, location?.address || null, location?.zip || null, location?.state || null, districtId, reportId]
+      );
+
+      // Add location to response
+      responseData.location = {
+        address: location?.address || null,
+        zip: location?.zip || null,
+        source: location?.source || null,
+        districtChoices,
+        lat,
+        lng
+      };
+
+      // 🚨 PROXIMITY CHECK (50m)
+      const [nearby] = await db.execute(
+        `SELECT id, case_number, status, camera_id,
+                ST_Distance_Sphere(
+                  POINT(location_lng, location_lat),
+                  POINT(?, ?)
+                ) as distance
+         FROM reports
+         WHERE location_lat IS NOT NULL
+           AND id != ?
+         HAVING distance <= 50
+         ORDER BY distance
+         LIMIT 10`,
+        [lng, lat, reportId]
+      );
+
+      const nearbyCameras = await findNearbyCameras(lat, lng, reportId);
+
+      if (nearby.length > 0 || nearbyCameras.length > 0) {
+        responseData.proximityWarning = {
+          found: true,
+          count: nearby.length,
+          reports: nearby.map(r => ({
+            caseNumber: r.case_number,
+            distance: Math.round(r.distance),
+            status: r.status,
+            cameraId: r.camera_id
+          })),
+          // Offered as "attach to existing camera"
+          cameras: nearbyCameras
+        };
+      }
+    } else if (lat && lng) {
+      // Photo has GPS but report already has location
+      // Geocode this photo's location
+      const location = await geocodeLocation(lat, lng);
+      responseData.location = {
+        address: location?.address || null,
+        zip: location?.zip || null,
+        source: location?.source || null,
+        lat,
+        lng
+      };
+    }
+
+    res.json(responseData);
+  } catch (error) {
+    console.error('Photo upload error:', error);
+    if (req.file) {
+      await fs.unlink(req.file.path).catch(() => {});
+    }
+    res.status(500).json({ error: 'Failed to upload photo' });
+  }
+});
+
+// ---- DELETE PHOTO ----
+app.delete('/api/photos/:id', authMiddleware, async (req, res) => {
+  try {
+    const photoId = req.params.id;
+
+    // Get photo details and verify ownership through report
+    const [photos] = await db.execute(
+      `SELECT p.*, r.user_id, r.status, r.case_number
+       FROM photos p
+       JOIN reports r ON p.report_id = r.id
+       WHERE p.id = ?`,
+      [photoId]
+    );
+
+    if (!photos[0]) {
+      return res.status(404).json({ error: 'Photo not found' });
+    }
+
+    const photo = photos[0];
+
+    // Verify ownership
+    if (photo.user_id !== req.user.id) {
+      return res.status(403).json({ error: 'Not authorized' });
+    }
+
+    // Only allow deletion for drafts
+    if (photo.status !== 'draft') {
+      return res.status(400).json({ error: 'Can only delete photos from draft reports' });
+    }
+
+    // Delete physical files (original and public copy)
+    for (const file of [photo.filepath, photo.public_filepath].filter(Boolean)) {
+      try {
+        await fs.unlink(file);
+        console.log(`✅ Deleted file: ${file}`);
+      } catch (fileError) {
+        console.error(`⚠️ Failed to delete file ${file}:`, fileError.message);
+        // Continue anyway - DB record should be deleted even if file is missing
+      }
+    }
+
+    // Delete from database
+    await db.execute('DELETE FROM photos WHERE id = ?', [photoId]);
+
+    console.log(`✅ Photo ${photoId} deleted from report ${photo.case_number}`);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Photo deletion error:', error);
+    res.status(500).json({ error: 'Failed to delete photo' });
+  }
+});
+
+// ---- BLUR REGIONS ----
+app.put('/api/photos/:id/blur-regions', authMiddleware, async (req, res) => {
+  try {
+    const { regions } = req.body;
+
+    if (!Array.isArray(regions) || regions.length > 50 || !regions.every(isValidRegion)) {
+      return res.status(400).json({ error: 'regions must be an array of {x, y, width, height} with values between 0 and 1' });
+    }
+
+    const [photos] = await db.execute(
+      `SELECT p.*, r.user_id, r.status
+       FROM photos p
+       JOIN reports r ON p.report_id = r.id
+       WHERE p.id = ?`,
+      [req.params.id]
+    );
+
+    if (!photos[0] || photos[0].user_id !== req.user.id) {
+      return res.status(404).json({ error: 'Photo not found' });
+    }
+
+    const photo = photos[0];
+
+    if (photo.status !== 'draft') {
+      return res.status(400).json({ error: 'Can only edit photos of draft reports' });
+    }
+
+    if (photo.media_type !== 'photo') {
+      return res.status(400).json({ error: 'Blur regions are only supported for photos' });
+    }
+
+    const manualRegions = regions.map(({ x, y, width, height }) => ({ type: 'manual', x, y, width, height }));
+
+    // Automatic detection hasn't run yet: the background job renders both together
+    if (photo.auto_blur_regions === null) {
+      await db.execute('UPDATE photos SET manual_blur_regions = ? WHERE id = ?', [JSON.stringify(manualRegions), photo.id]);
+      setImmediate(backfillPublicMedia);
+      return res.json({ success: true, url: null, redactionPending: true });
+    }
+
+    const publicPath = await createPublicDerivative(
+      photo.filepath,
+      photo.media_type,
+      [...parseJsonColumn(photo.auto_blur_regions), ...manualRegions]
+    );
+
+    if (!publicPath) {
+      return res.status(500).json({ error: 'Failed to render blurred photo' });
+    }
+
+    await db.execute(
+      'UPDATE photos SET manual_blur_regions = ?, public_filepath = ? WHERE id = ?',
+      [JSON.stringify(manualRegions), publicPath, photo.id]
+    );
+
+    if (photo.public_filepath) {
+      await fs.unlink(photo.public_filepath).catch(() => {});
+    }
+
+    res.json({ success: true, url: getMediaUrl({ public_filepath: publicPath }) });
+  } catch (error) {
+    console.error('Blur regions error:', error);
+    res.status(500).json({ error: 'Failed to update blur regions' });
+  }
+});
+
+// ---- SUBMIT REPORT ----
+app.post('/api/reports/:id/submit', authMiddleware, async (req, res) => {
+  try {
+    const recipientType = req.body.recipient || 'district';
+
+    if (!RECIPIENT_TYPES.includes(recipientType)) {
+      return res.status(400).json({ error: 'Invalid recipient' });
+    }
+
+    // Get report
+    const [reports] = await db.execute(
+      'SELECT * FROM reports WHERE id = ? AND user_id = ?',
+      [req.params.id, req.user.id]
+    );
+
+    if (!reports[0]) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    const report = reports[0];
+
+    if (report.status !== 'draft') {
+      return res.status(400).json({ error: 'Report already submitted' });
+    }
+
+    // Mails to the authority go out in the reporter's name
+    const [users] = await db.execute('SELECT email_verified_at FROM users WHERE id = ?', [req.user.id]);
+    if (!users[0]?.email_verified_at) {
+      return res.status(403).json({ error: 'Email address not verified' });
+    }
+
+    // Get photos
+    const [photos] = await db.execute(
+      'SELECT * FROM photos WHERE report_id = ?',
+      [req.params.id]
+    );
+
+    if (photos.length === 0) {
+      return res.status(400).json({ error: 'Please upload at least one photo' });
+    }
+
+    // Get district email
+    let districtEmail = null;
+    let districtName = null;
+    let districtLanguage = 'de';
+    if (report.district_id) {
+      const [districts] = await db.execute(
+        'SELECT name, email, language FROM districts WHERE id = ?',
+        [report.district_id]
+      );
+      if (districts[0] && districts[0].email) {
+        districtEmail = districts[0].email;
+        districtName = districts[0].name;
+        districtLanguage = districts[0].language;
+      }
+    }
+
+    // Recipient: the Ordnungsamt or directly the state DPA
+    const supervisoryAuthority = getSupervisoryAuthority(report.location_state);
+    const recipient = recipientType === 'dpa'
+      ? supervisoryAuthority
+      : (districtEmail ? { name: districtName, email: districtEmail } : null);
+
+    if (!recipient) {
+      return res.status(400).json(recipientType === 'dpa'
+        ? {
+          error: 'No supervisory authority found',
+          message: 'Kein Bundesland für den Standort bekannt. Bitte Bundesland auswählen.'
+        }
+        : {
+          error: 'No district found',
+          message: 'Kein zuständiges Ordnungsamt gefunden. Bitte Standortinformationen überprüfen.'
+        });
+    }
+
+    // Formal complaint PDF; submitting still works if it can't be generated
+    let dossier = null;
+    try {
+      dossier = await buildDossier(report, photos, recipient);
+    } catch (dossierError) {
+      console.error('Dossier generation error:', dossierError);
+    }
+
+    const email = await renderEmailForReport(report, {
+      recipientType,
+      recipient,
+      district: { name: districtName, language: districtLanguage },
+      photoCount: photos.length,
+      hasDossier: !!dossier,
+      portalLink: createAuthorityPortalLink(report, recipient)
+    });
+
+    // Claim draft → submitted in the same transaction as the dossier and the outbox row: a double
+    // click can't file two dossiers or send two mails, and a failure leaves the draft as it was
+    const statusChange = {
+      userId: req.user.id,
+      notes: `Versendet an ${recipient.name || recipient.email}`
+    };
+    let storedDossier = null;
+    let queued;
+
+    const connection = await db.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      await recordStatusChange(report, 'submitted', { ...statusChange, connection });
+
+      if (recipientType === 'dpa') {
+        await connection.execute('UPDATE reports SET escalated_at = NOW() WHERE id = ? AND escalated_at IS NULL', [report.id]);
+      }
+
+      storedDossier = dossier ? await storeDossier(report, dossier, undefined, connection) : null;
+
+      // The outbox worker sends the mail and retries if the mail server is unreachable
+      queued = await queueCaseEmail(report, {
+        to: recipient.email,
+        subject: email.subject,
+        text: email.text,
+        photos,
+        dossier: storedDossier,
+        emailType: 'report',
+        recipientType,
+        userId: req.user.id,
+        connection
+      });
+
+      await connection.commit();
+    } catch (submitError) {
+      await connection.rollback();
+      if (storedDossier) {
+        await fs.unlink(storedDossier.path).catch(() => {});
+      }
+      if (submitError.code === 'STATUS_CONFLICT') {
+        return res.status(409).json({ error: 'Report already submitted' });
+      }
+      throw submitError;
+    } finally {
+      connection.release();
+    }
+
+    setImmediate(processOutbox);
+    await announceStatusChange(report, 'submitted', statusChange);
+
+    await emitWebhookEvent('report.submitted', report.id, {
+      recipient: { type: recipientType, name: recipient.name || null, email: recipient.email }
+    });
+
+    // Every submitted report shows up on the map as (part of) a camera
+    if (!report.camera_id && report.location_lat && report.location_lng) {
+      await createCameraForReport(report, { userId: req.user.id });
+    }
+
+    res.json({ success: true, message: 'Report submitted successfully', outboxId: queued.id });
+  } catch (error) {
+    console.error('Submit report error:', error);
+    res.status(500).json({ error: 'Failed to submit report' });
+  }
+});
+
+// ---- ESCALATION ----
+// Forwards a submitted case to the state DPA, e.g. when the Ordnungsamt doesn't answer
+app.post('/api/reports/:id/escalate', authMiddleware, async (req, res) => {
+  try {
+    const [reports] = await db.execute(
+      'SELECT r.*, d.name as district_name FROM reports r LEFT JOIN districts d ON r.district_id = d.id WHERE r.id = ? AND r.user_id = ?',
+      [req.params.id, req.user.id]
+    );
+
+    if (!reports[0]) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    const report = reports[0];
+
+    if (report.status === 'draft') {
+      return res.status(400).json({ error: 'Report not submitted yet' });
+    }
+
+    if (RESOLVED_STATUSES.includes(report.status)) {
+      return res.status(400).json({ error: 'Report already closed' });
+    }
+
+    if (report.escalated_at) {
+      return res.status(400).json({ error: 'Report already sent to the supervisory authority' });
+    }
+
+    const supervisoryAuthority = getSupervisoryAuthority(report.location_state);
+    if (!supervisoryAuthority) {
+      return res.status(400).json({
+        error: 'No supervisory authority found',
+        message: 'Kein Bundesland für den Standort bekannt. Bitte Bundesland auswählen.'
+      });
+    }
+
+    const [photos] = await db.execute(
+      'SELECT * FROM photos WHERE report_id = ?',
+      [report.id]
+    );
+
+    let dossier = null;
+    try {
+      dossier = await buildDossier(report, photos, supervisoryAuthority);
+    } catch (dossierError) {
+      console.error('Dossier generation error:', dossierError);
+    }
+
+    const email = await renderEmailForReport(report, {
+      recipientType: 'dpa',
+      recipient: supervisoryAuthority,
+      district: { name: report.district_name },
+      photoCount: photos.length,
+      hasDossier: !!dossier,
+      escalation: true,
+      portalLink: createAuthorityPortalLink(report, supervisoryAuthority)
+    });
+
+    // Claim, dossier, outbox row and history entry commit together: concurrent requests can't send
+    // the DPA two mails, and a failure leaves the case escalatable. The DPA gets its own deadline and reminders
+    let storedDossier = null;
+    const connection = await db.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      const [claimed] = await connection.execute(
+        'UPDATE reports SET escalated_at = NOW(), response_deadline = DATE_ADD(NOW(), INTERVAL ? DAY), reminder_count = 0, last_reminder_at = NULL WHERE id = ? AND escalated_at IS NULL AND status NOT IN (?, ?)',
+        [CONFIG.deadlines.responseDays, report.id, ...RESOLVED_STATUSES]
+      );
+
+      if (claimed.affectedRows === 0) {
+        await connection.rollback();
+        return res.status(400).json({ error: 'Report already sent to the supervisory authority' });
+      }
+
+      storedDossier = dossier
+        ? await storeDossier(report, dossier, `Beschwerde an ${supervisoryAuthority.name} (automatisch erzeugt)`, connection)
+        : null;
+
+      await queueCaseEmail(report, {
+        to: supervisoryAuthority.email,
+        subject: email.subject,
+        text: email.text,
+        photos,
+        dossier: storedDossier,
+        emailType: 'escalation',
+        recipientType: 'dpa',
+        userId: req.user.id,
+        connection
+      });
+
+      // Escalation is its own step in the history; the status itself doesn't change
+      const reason = req.body.notes ? `: ${req.body.notes}` : '';
+      await connection.execute(
+        'INSERT INTO status_history (report_id, old_status, new_status, changed_by_user_id, actor_type, actor_name, notes) VALUES (?, ?, ?, ?, ?, ?, ?)',
+        [report.id, report.status, report.status, req.user.id, 'user', null, `Eskaliert an ${supervisoryAuthority.name}${reason}`]
+      );
+
+      await connection.commit();
+    } catch (escalationError) {
+      await connection.rollback();
+      if (storedDossier) {
+        await fs.unlink(storedDossier.path).catch(() => {});
+      }
+      throw escalationError;
+    } finally {
+      connection.release();
+    }
+
+    setImmediate(processOutbox);
+
+    console.log(`✅ ${report.case_number} escalated to ${supervisoryAuthority.name}`);
+    res.json({ success: true, authority: supervisoryAuthority });
+  } catch (error) {
+    console.error('Escalate report error:', error);
+    res.status(500).json({ error: 'Failed to escalate report' });
+  }
+});
+
+// ---- EMAIL PREVIEW ----
+app.get('/api/reports/:id/email-preview', authMiddleware, async (req, res) => {
+  try {
+    const [reports] = await db.execute(
+      'SELECT r.*, d.name as district_name, d.language as district_language FROM reports r LEFT JOIN districts d ON r.district_id = d.id WHERE r.id = ? AND r.user_id = ?',
+      [req.params.id, req.user.id]
+    );
+
+    if (!reports[0]) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    const [photos] = await db.execute(
+      'SELECT COUNT(*) as count FROM photos WHERE report_id = ?',
+      [req.params.id]
+    );
+
+    const recipientType = req.query.recipient === 'dpa' ? 'dpa' : 'district';
+    const email = await renderEmailForReport(reports[0], {
+      recipientType,
+      recipient: recipientType === 'dpa' ? getSupervisoryAuthority(reports[0].location_state) : null,
+      district: { name: reports[0].district_name, language: reports[0].district_language || 'de' },
+      photoCount: photos[0].count,
+      escalation: reports[0].status !== 'draft',
+      portalLink: AUTHORITY_PORTAL_PREVIEW_LINK
+    });
+
+    res.json(email);
+  } catch (error) {
+    console.error('Email preview error:', error);
+    res.status(500).json({ error: 'Failed to render email preview' });
+  }
+});
+
+// ---- DOSSIER ----
+app.get('/api/reports/:id/dossier', authMiddleware, async (req, res) => {
+  try {
+    const [reports] = await db.execute(
+      'SELECT r.*, d.name as district_name, d.email as district_email FROM reports r LEFT JOIN districts d ON r.district_id = d.id WHERE r.id = ? AND r.user_id = ?',
+      [req.params.id, req.user.id]
+    );
+
+    if (!reports[0]) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    const report = reports[0];
+
+    // Submitted reports: the PDF that was actually sent
+    const [documents] = await db.execute(
+      'SELECT * FROM documents WHERE report_id = ? AND file_type = "dossier" ORDER BY created_at DESC LIMIT 1',
+      [report.id]
+    );
+
+    if (documents[0]) {
+      return res.download(documents[0].filepath, documents[0].filename);
+    }
+
+    // Drafts: render a preview on the fly
+    const [photos] = await db.execute(
+      'SELECT * FROM photos WHERE report_id = ?',
+      [report.id]
+    );
+
+    const dossier = await buildDossier(report, photos, { name: report.district_name, email: report.district_email });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${dossier.filename}"`);
+    res.send(dossier.buffer);
+  } catch (error) {
+    console.error('Dossier error:', error);
+    res.status(500).json({ error: 'Failed to create dossier' });
+  }
+});
+
+// ---- EMAILS ----
+app.get('/api/reports/:id/emails', authMiddleware, async (req, res) => {
+  try {
+    const report = await findAccessibleReport(req.params.id, req.user);
+
+    if (!report) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    const [emails] = await db.execute(
+      `SELECT id, direction, from_authority, email_type, recipient_type, from_email, to_email, subject, body,
+              message_id, in_reply_to, attachments, sent_at
+       FROM email_logs WHERE report_id = ? ORDER BY sent_at, id`,
+      [report.id]
+    );
+
+    // Mails that are still queued or could not be delivered
+    const [outbox] = await db.execute(
+      `SELECT id, email_type, recipient_type, to_email, subject, status, attempts, last_error, next_attempt_at, created_at
+       FROM email_outbox WHERE report_id = ? AND log_to_thread = TRUE AND status != 'sent' ORDER BY created_at, id`,
+      [report.id]
+    );
+
+    res.json({
+      caseEmail: getCaseEmailAddress(report.case_number),
+      emails: emails.map(email => ({
+        ...email,
+        body: redactPortalLinks(email.body),
+        attachments: parseJsonColumn(email.attachments)
+      })),
+      outbox
+    });
+  } catch (error) {
+    console.error('Get emails error:', error);
+    res.status(500).json({ error: 'Failed to get emails' });
+  }
+});
+
+// Follow-up from the case address: answers an inbound mail or writes to the authority handling the case
+app.post('/api/reports/:id/emails', authMiddleware, async (req, res) => {
+  try {
+    const { text, inReplyToId } = req.body;
+
+    if (!text || !text.trim()) {
+      return res.status(400).json({ error: 'text required' });
+    }
+
+    const [reports] = await db.execute(
+      `SELECT r.*, d.name as district_name, d.email as district_email, d.language as district_language
+       FROM reports r LEFT JOIN districts d ON r.district_id = d.id
+       WHERE r.id = ? AND r.user_id = ?`,
+      [req.params.id, req.user.id]
+    );
+
+    if (!reports[0]) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    const report = reports[0];
+
+    if (report.status === 'draft') {
+      return res.status(400).json({ error: 'Report not submitted yet' });
+    }
+
+    let to, subject, recipientType = null, inReplyTo = null;
+
+    if (inReplyToId) {
+      const [emails] = await db.execute(
+        'SELECT * FROM email_logs WHERE id = ? AND report_id = ? AND direction = "inbound"',
+        [inReplyToId, report.id]
+      );
+
+      if (!emails[0] || !emails[0].from_email) {
+        return res.status(404).json({ error: 'Email not found' });
+      }
+
+      to = emails[0].from_email;
+      subject = /^(re|aw):/i.test(emails[0].subject || '') ? emails[0].subject : `Re: ${emails[0].subject || report.case_number}`;
+      inReplyTo = emails[0].message_id;
+    } else {
+      const authority = await getAuthorityRecipient(report);
+
+      if (!authority?.email) {
+        return res.status(400).json({ error: 'No recipient found' });
+      }
+
+      to = authority.email;
+      recipientType = authority.type;
+      subject = `Nachtrag zu Aktenzeichen ${report.case_number}`;
+    }
+
+    if (!CASE_NUMBER_PATTERN.test(subject)) {
+      subject = `${subject} [${report.case_number}]`;
+    }
+
+    const body = `${text.trim()}
+
+--
+Aktenzeichen: ${report.case_number}
+Bitte antworten Sie an ${getCaseEmailAddress(report.case_number)}.`;
+
+    const queued = await queueCaseEmail(report, {
+      to,
+      subject,
+      text: body,
+      emailType: 'reply',
+      recipientType,
+      inReplyTo,
+      userId: req.user.id
+    });
+
+    res.json({ success: true, outboxId: queued.id });
+  } catch (error) {
+    console.error('Send reply error:', error);
+    res.status(500).json({ error: 'Failed to send reply' });
+  }
+});
+
+// Sends a failed mail again right away
+app.post('/api/reports/:id/outbox/:outboxId/retry', authMiddleware, async (req, res) => {
+  try {
+    const report = await findAccessibleReport(req.params.id, req.user);
+
+    if (!report) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    const [result] = await db.execute(
+      'UPDATE email_outbox SET status = "pending", next_attempt_at = NOW() WHERE id = ? AND report_id = ? AND status IN ("pending", "failed")',
+      [req.params.outboxId, report.id]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Email not found' });
+    }
+
+    setImmediate(processOutbox);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Retry email error:', error);
+    res.status(500).json({ error: 'Failed to retry email' });
+  }
+});
+
+// ---- DOCUMENTS ----
+
+app.post('/api/reports/:id/documents', authMiddleware, documentUpload.single('document'), async (req, res) => {
+  try {
+    const file = req.file;
+
+    if (!file) {
+      return res.status(400).json({
+        error: 'No file uploaded',
+        message: 'Erlaubt sind PDF, Bilder (JPG, PNG, WebP, HEIC) und E-Mails (.eml).'
+      });
+    }
+
+    const report = await findAccessibleReport(req.params.id, req.user);
+
+    if (!report) {
+      await fs.unlink(file.path);
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    const extension = path.extname(file.originalname).toLowerCase();
+    const filename = sanitizeFilename(file.originalname);
+    let notes = req.body.notes || null;
+
+    // Saved emails: describe sender and subject if the user didn't add a note
+    if (extension === '.eml' && !notes) {
+      try {
+        const parsed = await simpleParser(await fs.readFile(file.path));
+        const from = parsed.from?.value?.[0]?.address || 'unbekannt';
+        notes = `E-Mail von ${from}${parsed.subject ? `: ${parsed.subject}` : ''}`;
+      } catch (parseError) {
+        console.log('EML parsing failed:', parseError.message);
+      }
+    }
+
+    const docDir = getDocumentDir(report.case_number);
+    await fs.mkdir(docDir, { recursive: true });
+    const filepath = path.join(docDir, `${Date.now()}-${filename}`);
+    await fs.rename(file.path, filepath);
+
+    const [result] = await db.execute(
+      'INSERT INTO documents (report_id, filename, filepath, file_type, mime_type, file_size, uploaded_by_user, notes) VALUES (?, ?, ?, ?, ?, ?, TRUE, ?)',
+      [report.id, filename, filepath, extension.slice(1), DOCUMENT_TYPES[extension], file.size, notes]
+    );
+
+    const [documents] = await db.execute(
+      `SELECT ${DOCUMENT_COLUMNS} FROM documents WHERE id = ?`,
+      [result.insertId]
+    );
+
+    res.json({ success: true, document: documents[0] });
+  } catch (error) {
+    console.error('Document upload error:', error);
+    if (req.file) {
+      await fs.unlink(req.file.path).catch(() => {});
+    }
+    res.status(500).json({ error: 'Failed to upload document' });
+  }
+});
+
+app.get('/api/reports/:id/documents', authMiddleware, async (req, res) => {
+  try {
+    const report = await findAccessibleReport(req.params.id, req.user);
+
+    if (!report) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    const [documents] = await db.execute(
+      `SELECT ${DOCUMENT_COLUMNS} FROM documents WHERE report_id = ? ORDER BY created_at`,
+      [report.id]
+    );
+
+    res.json({ documents });
+  } catch (error) {
+    console.error('Get documents error:', error);
+    res.status(500).json({ error: 'Failed to get documents' });
+  }
+});
+
+app.get('/api/reports/:id/documents/:documentId', authMiddleware, async (req, res) => {
+  try {
+    const report = await findAccessibleReport(req.params.id, req.user);
+
+    if (!report) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    const [documents] = await db.execute(
+      'SELECT * FROM documents WHERE id = ? AND report_id = ?',
+      [req.params.documentId, report.id]
+    );
+
+    if (!documents[0]) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    if (documents[0].mime_type) {
+      res.type(documents[0].mime_type);
+    }
+    res.download(documents[0].filepath, documents[0].filename);
+  } catch (error) {
+    console.error('Download document error:', error);
+    res.status(500).json({ error: 'Failed to download document' });
+  }
+});
+
+app.put('/api/reports/:id/documents/:documentId', authMiddleware, async (req, res) => {
+  try {
+    const report = await findAccessibleReport(req.params.id, req.user);
+
+    if (!report) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    const [result] = await db.execute(
+      'UPDATE documents SET notes = ? WHERE id = ? AND report_id = ?',
+      [req.body.notes || null, req.params.documentId, report.id]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Update document error:', error);
+    res.status(500).json({ error: 'Failed to update document' });
+  }
+});
+
+// Only own uploads can be deleted; the sent dossier and authority documents stay as evidence
+app.delete('/api/reports/:id/documents/:documentId', authMiddleware, async (req, res) => {
+  try {
+    const report = await findAccessibleReport(req.params.id, req.user);
+
+    if (!report) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    const [documents] = await db.execute(
+      'SELECT * FROM documents WHERE id = ? AND report_id = ?',
+      [req.params.documentId, report.id]
+    );
+
+    if (!documents[0]) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    if (!documents[0].uploaded_by_user || documents[0].file_type === 'dossier') {
+      return res.status(400).json({ error: 'Document cannot be deleted' });
+    }
+
+    await db.execute('DELETE FROM documents WHERE id = ?', [documents[0].id]);
+
+    try {
+      await fs.unlink(documents[0].filepath);
+    } catch (err) {
+      console.error(`Failed to delete file ${documents[0].filepath}:`, err.message);
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete document error:', error);
+    res.status(500).json({ error: 'Failed to delete document' });
+  }
+});
+
+// ---- CAMERAS ----
+// Attach to an existing camera (cameraId) or create a new one at the report's location
+app.post('/api/reports/:id/camera', authMiddleware, async (req, res) => {
+  try {
+    const { cameraId, description, ownerName } = req.body;
+
+    const [reports] = await db.execute(
+      'SELECT * FROM reports WHERE id = ? AND user_id = ?',
+      [req.params.id, req.user.id]
+    );
+
+    if (!reports[0]) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    const report = reports[0];
+
+    if (!report.location_lat || !report.location_lng) {
+      return res.status(400).json({ error: 'Report has no location' });
+    }
+
+    let newCameraId;
+
+    if (cameraId) {
+      const [cameras] = await db.execute(
+        `SELECT id, ST_Distance_Sphere(POINT(location_lng, location_lat), POINT(?, ?)) as distance
+         FROM cameras WHERE id = ?`,
+        [report.location_lng, report.location_lat, cameraId]
+      );
+
+      if (!cameras[0]) {
+        return res.status(404).json({ error: 'Camera not found' });
+      }
+
+      if (cameras[0].distance > CAMERA_PROXIMITY_METERS) {
+        return res.status(400).json({
+          error: 'Camera too far away',
+          message: `Die Kamera ist ${Math.round(cameras[0].distance)} m vom Standort der Anzeige entfernt.`
+        });
+      }
+
+      await db.execute('UPDATE reports SET camera_id = ? WHERE id = ?', [cameraId, report.id]);
+      newCameraId = Number(cameraId);
+    } else {
+      newCameraId = await createCameraForReport(report, {
+        description: description || null,
+        ownerName: ownerName || null,
+        userId: req.user.id
+      });
+    }
+
+    if (report.camera_id && report.camera_id !== newCameraId) {
+      await deleteOrphanedCamera(report.camera_id);
+    }
+
+    res.json({ success: true, cameraId: newCameraId });
+  } catch (error) {
+    console.error('Attach camera error:', error);
+    res.status(500).json({ error: 'Failed to attach camera' });
+  }
+});
+
+app.delete('/api/reports/:id/camera', authMiddleware, async (req, res) => {
+  try {
+    const [reports] = await db.execute(
+      'SELECT * FROM reports WHERE id = ? AND user_id = ?',
+      [req.params.id, req.user.id]
+    );
+
+    if (!reports[0]) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    await db.execute('UPDATE reports SET camera_id = NULL WHERE id = ?', [req.params.id]);
+    await deleteOrphanedCamera(reports[0].camera_id);
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Detach camera error:', error);
+    res.status(500).json({ error: 'Failed to detach camera' });
+  }
+});
+
+// Description and owner can be edited by whoever created the camera and by moderators
+app.put('/api/cameras/:id', authMiddleware, async (req, res) => {
+  try {
+    const { description, ownerName } = req.body;
+
+    const [cameras] = await db.execute('SELECT * FROM cameras WHERE id = ?', [req.params.id]);
+
+    if (!cameras[0]) {
+      return res.status(404).json({ error: 'Camera not found' });
+    }
+
+    if (cameras[0].created_by_user_id !== req.user.id && !['moderator', 'admin'].includes(req.user.role)) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    await db.execute(
+      'UPDATE cameras SET description = ?, owner_name = ? WHERE id = ?',
+      [description || null, ownerName || null, req.params.id]
+    );
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Update camera error:', error);
+    res.status(500).json({ error: 'Failed to update camera' });
+  }
+});
+
+// ---- STATUS ----
+app.post('/api/reports/:id/status', authMiddleware, async (req, res) => {
+  try {
+    const { status, notes } = req.body;
+
+    if (!STATUS_TRANSITIONS[status]) {
+      return res.status(400).json({ error: 'Invalid status' });
+    }
+
+    if (status === 'submitted') {
+      return res.status(400).json({ error: 'Use /api/reports/:id/submit to submit a report' });
+    }
+
+    const [reports] = await db.execute(
+      'SELECT * FROM reports WHERE id = ? AND user_id = ?',
+      [req.params.id, req.user.id]
+    );
+
+    if (!reports[0]) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    const report = reports[0];
+
+    if (!canTransition(report.status, status)) {
+      return res.status(400).json({
+        error: 'Invalid status transition',
+        message: `Statuswechsel von "${report.status}" nach "${status}" ist nicht erlaubt.`,
+        allowed: STATUS_TRANSITIONS[report.status].filter(s => s !== 'submitted')
+      });
+    }
+
+    await changeReportStatus(report, status, { userId: req.user.id, notes });
+
+    res.json({ success: true, status });
+  } catch (error) {
+    // Somebody else changed the status in the meantime
+    if (error.code === 'STATUS_CONFLICT') {
+      return res.status(409).json({ error: 'Status changed concurrently, please reload' });
+    }
+    console.error('Change status error:', error);
+    res.status(500).json({ error: 'Failed to change status' });
+  }
+});
+
+// ---- NOTIFICATIONS ----
+app.get('/api/notifications', authMiddleware, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, MAX_NOTIFICATIONS_PAGE);
+    const offset = parseInt(req.query.offset) || 0;
+    const unreadOnly = req.query.unread === '1' || req.query.unread === 'true';
+
+    const [notifications] = await db.query(
+      `SELECT n.id, n.report_id, n.type, n.title, n.body, n.read_at, n.created_at, r.case_number
+       FROM notifications n
+       LEFT JOIN reports r ON n.report_id = r.id
+       WHERE n.user_id = ?${unreadOnly ? ' AND n.read_at IS NULL' : ''}
+       ORDER BY n.created_at DESC, n.id DESC
+       LIMIT ? OFFSET ?`,
+      [req.user.id, limit, offset]
+    );
+
+    const [counts] = await db.execute(
+      'SELECT COUNT(*) as unread FROM notifications WHERE user_id = ? AND read_at IS NULL',
+      [req.user.id]
+    );
+
+    res.json({ notifications, unreadCount: counts[0].unread });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({ error: 'Failed to get notifications' });
+  }
+});
+
+// Cheap enough to poll for the badge in the navigation
+app.get('/api/notifications/unread-count', authMiddleware, async (req, res) => {
+  try {
+    const [counts] = await db.execute(
+      'SELECT COUNT(*) as unread FROM notifications WHERE user_id = ? AND read_at IS NULL',
+      [req.user.id]
+    );
+
+    res.json({ unreadCount: counts[0].unread });
+  } catch (error) {
+    console.error('Get unread count error:', error);
+    res.status(500).json({ error: 'Failed to get unread count' });
+  }
+});
+
+app.post('/api/notifications/read-all', authMiddleware, async (req, res) => {
+  try {
+    await db.execute(
+      'UPDATE notifications SET read_at = NOW() WHERE user_id = ? AND read_at IS NULL',
+      [req.user.id]
+    );
+
+    res.json({ success: true, unreadCount: 0 });
+  } catch (error) {
+    console.error('Mark notifications read error:', error);
+    res.status(500).json({ error: 'Failed to mark notifications as read' });
+  }
+});
+
+app.post('/api/notifications/:id/read', authMiddleware, async (req, res) => {
+  try {
+    const [result] = await db.execute(
+      'UPDATE notifications SET read_at = COALESCE(read_at, NOW()) WHERE id = ? AND user_id = ?',
+      [req.params.id, req.user.id]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+
+    const [counts] = await db.execute(
+      'SELECT COUNT(*) as unread FROM notifications WHERE user_id = ? AND read_at IS NULL',
+      [req.user.id]
+    );
+
+    res.json({ success: true, unreadCount: counts[0].unread });
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({ error: 'Failed to mark notification as read' });
+  }
+});
+
+app.put('/api/me/notification-settings', authMiddleware, async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!NOTIFICATION_EMAIL_MODES.includes(email)) {
+      return res.status(400).json({ error: 'Invalid notification setting', allowed: NOTIFICATION_EMAIL_MODES });
+    }
+
+    await db.execute('UPDATE users SET notification_email = ? WHERE id = ?', [email, req.user.id]);
+
+    res.json({ success: true, email });
+  } catch (error) {
+    console.error('Update notification settings error:', error);
+    res.status(500).json({ error: 'Failed to update notification settings' });
+  }
+});
+
+// ---- WEBHOOKS ----
+app.get('/api/webhooks', authMiddleware, async (req, res) => {
+  try {
+    const [webhooks] = await db.execute(
+      `SELECT ${WEBHOOK_COLUMNS}, u.email as owner_email,
+              (SELECT COUNT(*) FROM webhook_deliveries d WHERE d.webhook_id = w.id AND d.status = 'failed') as failed_deliveries
+       FROM webhooks w
+       JOIN users u ON w.user_id = u.id
+       WHERE w.user_id = ? OR (w.all_reports = TRUE AND ? = 'admin')
+       ORDER BY w.created_at DESC`,
+      [req.user.id, req.user.role]
+    );
+
+    res.json({ webhooks: webhooks.map(formatWebhook), events: WEBHOOK_EVENTS });
+  } catch (error) {
+    console.error('Get webhooks error:', error);
+    res.status(500).json({ error: 'Failed to get webhooks' });
+  }
+});
+
+app.post('/api/webhooks', authMiddleware, async (req, res) => {
+  try {
+    const events = parseWebhookEvents(req.body.events);
+    const allReports = !!req.body.allReports;
+
+    if (!events) {
+      return res.status(400).json({ error: 'Invalid events', allowed: WEBHOOK_EVENTS });
+    }
+
+    if (allReports && req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    const urlError = String(req.body.url || '').length > 2000 ? 'URL too long' : await validateWebhookUrl(req.body.url);
+    if (urlError) {
+      return res.status(400).json({ error: urlError });
+    }
+
+    const [counts] = await db.execute('SELECT COUNT(*) as count FROM webhooks WHERE user_id = ?', [req.user.id]);
+    if (counts[0].count >= MAX_WEBHOOKS_PER_USER) {
+      return res.status(400).json({ error: `At most ${MAX_WEBHOOKS_PER_USER} webhooks` });
+    }
+
+    const secret = crypto.randomBytes(32).toString('hex');
+
+    const [result] = await db.execute(
+      'INSERT INTO webhooks (user_id, url, secret, events, all_reports) VALUES (?, ?, ?, ?, ?)',
+      [req.user.id, req.body.url, secret, events.join(','), allReports]
+    );
+
+    const webhook = await findAccessibleWebhook(result.insertId, req.user);
+
+    // Like API tokens, the signing secret is only shown once
+    res.status(201).json({ ...formatWebhook(webhook), secret });
+  } catch (error) {
+    console.error('Create webhook error:', error);
+    res.status(500).json({ error: 'Failed to create webhook' });
+  }
+});
+
+app.put('/api/webhooks/:id', authMiddleware, async (req, res) => {
+  try {
+    const webhook = await findAccessibleWebhook(req.params.id, req.user);
+
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const url = req.body.url !== undefined ? req.body.url : webhook.url;
+    const events = req.body.events !== undefined ? parseWebhookEvents(req.body.events) : webhook.events.split(',');
+    const active = req.body.active !== undefined ? !!req.body.active : !!webhook.active;
+
+    if (!events) {
+      return res.status(400).json({ error: 'Invalid events', allowed: WEBHOOK_EVENTS });
+    }
+
+    if (url !== webhook.url) {
+      const urlError = String(url || '').length > 2000 ? 'URL too long' : await validateWebhookUrl(url);
+      if (urlError) {
+        return res.status(400).json({ error: urlError });
+      }
+    }
+
+    await db.execute(
+      'UPDATE webhooks SET url = ?, events = ?, active = ? WHERE id = ?',
+      [url, events.join(','), active, webhook.id]
+    );
+
+    // A reactivated webhook picks up the deliveries that waited meanwhile
+    if (active && !webhook.active) {
+      setImmediate(processWebhooks);
+    }
+
+    res.json(formatWebhook(await findAccessibleWebhook(webhook.id, req.user)));
+  } catch (error) {
+    console.error('Update webhook error:', error);
+    res.status(500).json({ error: 'Failed to update webhook' });
+  }
+});
+
+app.delete('/api/webhooks/:id', authMiddleware, async (req, res) => {
+  try {
+    const webhook = await findAccessibleWebhook(req.params.id, req.user);
+
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    await db.execute('DELETE FROM webhooks WHERE id = ?', [webhook.id]);
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete webhook error:', error);
+    res.status(500).json({ error: 'Failed to delete webhook' });
+  }
+});
+
+app.get('/api/webhooks/:id/deliveries', authMiddleware, async (req, res) => {
+  try {
+    const webhook = await findAccessibleWebhook(req.params.id, req.user);
+
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, MAX_WEBHOOK_DELIVERIES_PAGE);
+    const offset = parseInt(req.query.offset) || 0;
+
+    const [deliveries] = await db.query(
+      `SELECT id, event, event_id, payload, status, attempts, last_status, last_error, next_attempt_at, delivered_at, created_at
+       FROM webhook_deliveries
+       WHERE webhook_id = ?${req.query.status ? ' AND status = ?' : ''}
+       ORDER BY created_at DESC, id DESC
+       LIMIT ? OFFSET ?`,
+      [webhook.id, ...(req.query.status ? [req.query.status] : []), limit, offset]
+    );
+
+    const [attempts] = deliveries.length > 0
+      ? await db.query(
+        `SELECT delivery_id, attempt, response_status, response_body, error, duration_ms, created_at
+         FROM webhook_attempts WHERE delivery_id IN (?) ORDER BY attempt`,
+        [deliveries.map(delivery => delivery.id)]
+      )
+      : [[]];
+
+    res.json({
+      deliveries: deliveries.map(delivery => ({
+        ...delivery,
+        payload: parseJsonColumn(delivery.payload),
+        attempts_log: attempts.filter(attempt => attempt.delivery_id === delivery.id)
+      }))
+    });
+  } catch (error) {
+    console.error('Get webhook deliveries error:', error);
+    res.status(500).json({ error: 'Failed to get webhook deliveries' });
+  }
+});
+
+// Sends a delivery again, also one that was delivered already (receivers dedupe on X-RUO-Delivery)
+app.post('/api/webhooks/:id/deliveries/:deliveryId/redeliver', authMiddleware, async (req, res) => {
+  try {
+    const webhook = await findAccessibleWebhook(req.params.id, req.user);
+
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    // Attempts keep counting, so a delivery that already gave up gets exactly one more try
+    const [result] = await db.execute(
+      'UPDATE webhook_deliveries SET status = "pending", next_attempt_at = NOW() WHERE id = ? AND webhook_id = ? AND status IN ("pending", "delivered", "failed")',
+      [req.params.deliveryId, webhook.id]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Delivery not found or currently sending' });
+    }
+
+    setImmediate(processWebhooks);
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Redeliver webhook error:', error);
+    res.status(500).json({ error: 'Failed to redeliver webhook' });
+  }
+});
+
+// ---- AUTHORITY PORTAL ----
+// No login: the token from the mail link is the credential (see authorityPortalMiddleware)
+app.get('/api/authority/:token', authorityPortalMiddleware, async (req, res) => {
+  try {
+    const report = req.report;
+
+    const [photos] = await db.execute(
+      'SELECT id, filename, mime_type, media_type, file_size, lat, lng, taken_at FROM photos WHERE report_id = ? ORDER BY id',
+      [report.id]
+    );
+
+    // Complaint PDFs and what the authority sent itself; the reporter's own uploads stay private
+    const [documents] = await db.execute(
+      `SELECT ${DOCUMENT_COLUMNS} FROM documents
+       WHERE report_id = ? AND (file_type = 'dossier' OR uploaded_by_user = FALSE)
+       ORDER BY created_at`,
+      [report.id]
+    );
+
+    const [history] = await db.execute(
+      'SELECT old_status, new_status, actor_type, actor_name, notes, created_at FROM status_history WHERE report_id = ? ORDER BY created_at',
+      [report.id]
+    );
+
+    res.json({
+      authority: req.authority,
+      caseEmail: getCaseEmailAddress(report.case_number),
+      report: {
+        case_number: report.case_number,
+        status: report.status,
+        violation_type: report.violation_type,
+        legal_basis: VIOLATION_TYPES[report.violation_type]?.legalBasis || null,
+        notes: report.notes,
+        location_address: report.location_address,
+        location_zip: report.location_zip,
+        location_lat: report.location_lat,
+        location_lng: report.location_lng,
+        district_name: report.district_name,
+        submitted_at: report.submitted_at,
+        response_deadline: report.response_deadline
+      },
+      photos,
+      documents,
+      // Notes of the reporter are not shown, only the authority's own reasons
+      history: history.map(entry => ({ ...entry, notes: entry.actor_type === 'authority' ? entry.notes : null })),
+      allowedStatuses: AUTHORITY_STATUSES.filter(status => canTransition(report.status, status))
+    });
+  } catch (error) {
+    console.error('Authority portal error:', error);
+    res.status(500).json({ error: 'Failed to get report' });
+  }
+});
+
+// Unredacted originals in full resolution (the same files as in the mail attachments)
+app.get('/api/authority/:token/photos/:photoId', authorityPortalMiddleware, async (req, res) => {
+  try {
+    const [photos] = await db.execute(
+      'SELECT filepath, filename, mime_type FROM photos WHERE id = ? AND report_id = ?',
+      [req.params.photoId, req.report.id]
+    );
+
+    if (!photos[0]) {
+      return res.status(404).json({ error: 'Photo not found' });
+    }
+
+    if (photos[0].mime_type) {
+      res.type(photos[0].mime_type);
+    }
+    res.setHeader('Content-Disposition', `inline; filename="${photos[0].filename.replace(/"/g, '')}"`);
+    res.sendFile(path.resolve(photos[0].filepath));
+  } catch (error) {
+    console.error('Authority photo error:', error);
+    res.status(500).json({ error: 'Failed to get photo' });
+  }
+});
+
+app.get('/api/authority/:token/documents/:documentId', authorityPortalMiddleware, async (req, res) => {
+  try {
+    const [documents] = await db.execute(
+      `SELECT * FROM documents
+       WHERE id = ? AND report_id = ? AND (file_type = 'dossier' OR uploaded_by_user = FALSE)`,
+      [req.params.documentId, req.report.id]
+    );
+
+    if (!documents[0]) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    if (documents[0].mime_type) {
+      res.type(documents[0].mime_type);
+    }
+    res.download(documents[0].filepath, documents[0].filename);
+  } catch (error) {
+    console.error('Authority document error:', error);
+    res.status(500).json({ error: 'Failed to download document' });
+  }
+});
+
+app.post('/api/authority/:token/status', authorityPortalMiddleware, async (req, res) => {
+  try {
+    const { status } = req.body;
+    const reason = String(req.body.reason || '').trim();
+
+    if (!AUTHORITY_STATUSES.includes(status)) {
+      return res.status(400).json({ error: 'Invalid status' });
+    }
+
+    if (!reason) {
+      return res.status(400).json({ error: 'Reason required', message: 'Bitte geben Sie eine Begründung an.' });
+    }
+
+    if (reason.length > 5000) {
+      return res.status(400).json({ error: 'Reason too long' });
+    }
+
+    if (!canTransition(req.report.status, status)) {
+      return res.status(400).json({
+        error: 'Invalid status transition',
+        message: `Statuswechsel von "${req.report.status}" nach "${status}" ist nicht möglich.`,
+        allowed: AUTHORITY_STATUSES.filter(s => canTransition(req.report.status, s))
+      });
+    }
+
+    await changeReportStatus(req.report, status, { authority: req.authority, notes: reason });
+
+    res.json({ success: true, status });
+  } catch (error) {
+    // Somebody else changed the status in the meantime
+    if (error.code === 'STATUS_CONFLICT') {
+      return res.status(409).json({ error: 'Status changed concurrently, please reload' });
+    }
+    console.error('Authority status error:', error);
+    res.status(500).json({ error: 'Failed to change status' });
+  }
+});
+
+// Decision letter; stored like the attachments of the authority's mails
+app.post('/api/authority/:token/documents', authorityPortalMiddleware, documentUpload.single('document'), async (req, res) => {
+  try {
+    const file = req.file;
+
+    if (!file) {
+      return res.status(400).json({
+        error: 'No file uploaded',
+        message: 'Erlaubt sind PDF, Bilder (JPG, PNG, WebP, HEIC) und E-Mails (.eml).'
+      });
+    }
+
+    const report = req.report;
+    const authorityName = req.authority.name || req.authority.email;
+    const extension = path.extname(file.originalname).toLowerCase();
+    const filename = sanitizeFilename(file.originalname);
+    const note = String(req.body.notes || '').trim().slice(0, 1000);
+
+    const docDir = getDocumentDir(report.case_number);
+    await fs.mkdir(docDir, { recursive: true });
+    const filepath = path.join(docDir, `${Date.now()}-${filename}`);
+    await fs.rename(file.path, filepath);
+
+    const [result] = await db.execute(
+      'INSERT INTO documents (report_id, filename, filepath, file_type, mime_type, file_size, uploaded_by_user, notes) VALUES (?, ?, ?, ?, ?, ?, FALSE, ?)',
+      [report.id, filename, filepath, extension.slice(1), DOCUMENT_TYPES[extension], file.size, `Bescheid von ${authorityName}${note ? `: ${note}` : ''}`]
+    );
+
+    // The upload is its own step in the history; the status itself doesn't change
+    await db.execute(
+      'INSERT INTO status_history (report_id, old_status, new_status, changed_by_user_id, actor_type, actor_name, notes) VALUES (?, ?, ?, NULL, "authority", ?, ?)',
+      [report.id, report.status, report.status, authorityName, `Bescheid hochgeladen: ${filename}${note ? ` (${note})` : ''}`]
+    );
+
+    const [documents] = await db.execute(
+      `SELECT ${DOCUMENT_COLUMNS} FROM documents WHERE id = ?`,
+      [result.insertId]
+    );
+
+    if (report.user_id) {
+      await notifyUser(report.user_id, {
+        reportId: report.id,
+        type: 'document_received',
+        title: `Bescheid zu ${report.case_number}`,
+        body: `${authorityName} hat einen Bescheid hochgeladen: ${filename}${note ? `\n\n${note}` : ''}`
+      });
+    }
+
+    console.log(`✅ Decision letter for ${report.case_number} uploaded by ${req.authority.email}`);
+    res.json({ success: true, document: documents[0] });
   } catch (error) {
-    console.error('Update report error:', error);
-    res.status(500).json({ error: 'Failed to update report' });
+    console.error('Authority document upload error:', error);
+    if (req.file) {
+      await fs.unlink(req.file.path).catch(() => {});
+    }
+    res.status(500).json({ error: 'Failed to upload document' });
   }
 });
 
-app.put('/api/reports/:id/location', authMiddleware, async (req, res) => {
+// ---- ADMIN ----
+app.get('/api/admin/reports', authMiddleware, requireRole('moderator', 'admin'), async (req, res) => {
   try {
-    const { lat, lng, address, zip } = req.body;
+    const { status, userId, q } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const offset = parseInt(req.query.offset) || 0;
 
-    // Verify ownership
-    const [reports] = await db.execute(
-      'SELECT * FROM reports WHERE id = ? AND user_id = ?',
-      [req.params.id, req.user.id]
-    );
+    const conditions = [];
+    const params = [];
 
-    if (!reports[0]) {
-      return res.status(404).json({ error: 'Report not found' });
+    if (status) {
+      conditions.push('r.status = ?');
+      params.push(status);
     }
-
-    // Get district from weg.li if we have a zip
-    let districtId = null;
-    if (zip) {
-      const district = await getDistrictByZip(zip);
-      if (district) {
-        districtId = district.id;
-        console.log(`✅ District updated: ${district.name} → ${district.email}`);
-      }
+    if (userId) {
+      conditions.push('r.user_id = ?');
+      params.push(userId);
+    }
+    if (q) {
+      conditions.push('(r.case_number LIKE ? OR r.location_address LIKE ? OR u.email LIKE ?)');
+      params.push(`%${q}%`, `%${q}%`, `%${q}%`);
     }
 
-    await db.execute(
-      'UPDATE reports SET location_lat = ?, location_lng = ?, location_address = ?, location_zip = ?, district_id = ? WHERE id = ?',
-      [lat, lng, address || null, zip || null, districtId, req.params.id]
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const [reports] = await db.query(
+      `SELECT r.*, u.email as user_email, u.name as user_name, u.disabled_at as user_disabled_at,
+              d.name as district_name, dup.case_number as duplicate_of_case_number,
+              (SELECT COUNT(*) FROM photos WHERE report_id = r.id) as photo_count
+       FROM reports r
+       LEFT JOIN users u ON r.user_id = u.id
+       LEFT JOIN districts d ON r.district_id = d.id
+       LEFT JOIN reports dup ON r.duplicate_of_id = dup.id
+       ${where}
+       ORDER BY r.created_at DESC
+       LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
     );
 
-    res.json({ success: true });
+    res.json({ reports, limit, offset });
   } catch (error) {
-    console.error('Update location error:', error);
-    res.status(500).json({ error: 'Failed to update location' });
+    console.error('Admin get reports error:', error);
+    res.status(500).json({ error: 'Failed to get reports' });
   }
 });
 
-app.get('/api/reports/:id/validate', authMiddleware, async (req, res) => {
+app.put('/api/admin/reports/:id/visibility', authMiddleware, requireRole('moderator', 'admin'), async (req, res) => {
   try {
+    const { hidden, notes } = req.body;
+
     const [reports] = await db.execute(
-      'SELECT r.*, d.name as district_name, d.email as district_email FROM reports r LEFT JOIN districts d ON r.district_id = d.id WHERE r.id = ? AND r.user_id = ?',
-      [req.params.id, req.user.id]
+      'SELECT * FROM reports WHERE id = ?',
+      [req.params.id]
     );
 
     if (!reports[0]) {
       return res.status(404).json({ error: 'Report not found' });
     }
 
-    const report = reports[0];
-    const validation = {
-      valid: true,
-      errors: []
-    };
+    await db.execute(
+      'UPDATE reports SET is_hidden = ? WHERE id = ?',
+      [!!hidden, req.params.id]
+    );
 
-    // Check if district is available
-    if (!report.district_id || !report.district_email) {
-      validation.valid = false;
-      validation.errors.push({
-        field: 'district',
-        message: 'Kein zuständiges Ordnungsamt gefunden. Bitte Standortinformationen überprüfen.'
-      });
+    // Moderation is part of the case record but doesn't change the status
+    await db.execute(
+      'INSERT INTO status_history (report_id, old_status, new_status, changed_by_user_id, notes) VALUES (?, ?, ?, ?, ?)',
+      [
+        req.params.id,
+        reports[0].status,
+        reports[0].status,
+        req.user.id,
+        `${hidden ? 'Öffentliche Anzeige ausgeblendet' : 'Öffentliche Anzeige wieder eingeblendet'}${notes ? `: ${notes}` : ''}`
+      ]
+    );
+
+    res.json({ success: true, hidden: !!hidden });
+  } catch (error) {
+    console.error('Admin visibility error:', error);
+    res.status(500).json({ error: 'Failed to change visibility' });
+  }
+});
+
+app.post('/api/admin/reports/:id/status', authMiddleware, requireRole('moderator', 'admin'), async (req, res) => {
+  try {
+    const { status, notes } = req.body;
+
+    if (!STATUS_TRANSITIONS[status] || status === 'submitted') {
+      return res.status(400).json({ error: 'Invalid status' });
     }
 
-    // Check if photos exist
-    const [photos] = await db.execute(
-      'SELECT COUNT(*) as count FROM photos WHERE report_id = ?',
+    const [reports] = await db.execute(
+      'SELECT * FROM reports WHERE id = ?',
       [req.params.id]
     );
 
-    if (photos[0].count === 0) {
-      validation.valid = false;
-      validation.errors.push({
-        field: 'photos',
-        message: 'Mindestens ein Foto oder Video erforderlich.'
-      });
+    if (!reports[0]) {
+      return res.status(404).json({ error: 'Report not found' });
     }
 
-    // Check if violation type is set
-    if (!report.violation_type) {
-      validation.valid = false;
-      validation.errors.push({
-        field: 'violation_type',
-        message: 'Bitte wählen Sie eine Verstoßart aus.'
+    if (!canTransition(reports[0].status, status)) {
+      return res.status(400).json({
+        error: 'Invalid status transition',
+        allowed: STATUS_TRANSITIONS[reports[0].status].filter(s => s !== 'submitted')
       });
     }
 
-    res.json(validation);
+    await changeReportStatus(reports[0], status, { userId: req.user.id, notes });
+
+    res.json({ success: true, status });
   } catch (error) {
-    console.error('Validate report error:', error);
-    res.status(500).json({ error: 'Failed to validate report' });
+    // Somebody else changed the status in the meantime
+    if (error.code === 'STATUS_CONFLICT') {
+      return res.status(409).json({ error: 'Status changed concurrently, please reload' });
+    }
+    console.error('Admin change status error:', error);
+    res.status(500).json({ error: 'Failed to change status' });
   }
 });
 
-app.delete('/api/reports/:id', authMiddleware, async (req, res) => {
+app.post('/api/admin/reports/:id/merge', authMiddleware, requireRole('moderator', 'admin'), async (req, res) => {
   try {
-    // Get report details
+    const { targetId } = req.body;
+
+    if (!targetId || String(targetId) === String(req.params.id)) {
+      return res.status(400).json({ error: 'Valid targetId required' });
+    }
+
     const [reports] = await db.execute(
-      'SELECT * FROM reports WHERE id = ? AND user_id = ? AND status = "draft"',
-      [req.params.id, req.user.id]
+      'SELECT * FROM reports WHERE id IN (?, ?)',
+      [req.params.id, targetId]
     );
 
-    if (!reports[0]) {
-      return res.status(404).json({ error: 'Report not found or cannot be deleted' });
+    const duplicate = reports.find(r => String(r.id) === String(req.params.id));
+    const target = reports.find(r => String(r.id) === String(targetId));
+
+    if (!duplicate || !target) {
+      return res.status(404).json({ error: 'Report not found' });
     }
 
-    const report = reports[0];
+    if (target.duplicate_of_id) {
+      return res.status(400).json({ error: 'Target report is itself a duplicate' });
+    }
 
-    // Get all photos for this report
-    const [photos] = await db.execute(
-      'SELECT filepath FROM photos WHERE report_id = ?',
-      [req.params.id]
+    // The duplicate keeps its own record and media but disappears from public views
+    await db.execute(
+      'UPDATE reports SET duplicate_of_id = ?, is_hidden = TRUE WHERE id = ?',
+      [target.id, duplicate.id]
     );
 
-    // Delete the report (photos will be deleted by CASCADE)
+    // Re-point earlier duplicates of this report to the new target
     await db.execute(
-      'DELETE FROM reports WHERE id = ?',
-      [req.params.id]
+      'UPDATE reports SET duplicate_of_id = ? WHERE duplicate_of_id = ?',
+      [target.id, duplicate.id]
     );
 
-    // Delete physical files
-    for (const photo of photos) {
-      try {
-        await fs.unlink(photo.filepath);
-      } catch (err) {
-        console.error(`Failed to delete file ${photo.filepath}:`, err.message);
-      }
+    // Duplicates describe the same installation
+    if (target.camera_id && duplicate.camera_id !== target.camera_id) {
+      await db.execute('UPDATE reports SET camera_id = ? WHERE id = ?', [target.camera_id, duplicate.id]);
+      await deleteOrphanedCamera(duplicate.camera_id);
     }
 
-    // Delete the report directory if it exists
-    const photoDir = path.join('uploads', report.case_number);
-    try {
-      await fs.rmdir(photoDir);
-    } catch (err) {
-      // Directory might not be empty or doesn't exist, ignore
-      console.log(`Could not remove directory ${photoDir}:`, err.message);
-    }
+    await db.execute(
+      'INSERT INTO status_history (report_id, old_status, new_status, changed_by_user_id, notes) VALUES (?, ?, ?, ?, ?), (?, ?, ?, ?, ?)',
+      [
+        duplicate.id, duplicate.status, duplicate.status, req.user.id, `Als Duplikat von ${target.case_number} zusammengeführt`,
+        target.id, target.status, target.status, req.user.id, `Duplikat ${duplicate.case_number} zusammengeführt`
+      ]
+    );
 
+    console.log(`✅ Merged ${duplicate.case_number} into ${target.case_number}`);
     res.json({ success: true });
   } catch (error) {
-    console.error('Delete report error:', error);
-    res.status(500).json({ error: 'Failed to delete report' });
+    console.error('Admin merge error:', error);
+    res.status(500).json({ error: 'Failed to merge reports' });
   }
 });
 
-// ---- PHOTOS ----
-app.post('/api/photos', authMiddleware, upload.single('photo'), async (req, res) => {
+app.get('/api/admin/email-templates', authMiddleware, requireRole('admin'), async (req, res) => {
   try {
-    const { reportId } = req.body;
-    const file = req.file;
+    const [templates] = await db.execute(
+      `SELECT t.*, d.name as district_name, d.zip as district_zip
+       FROM email_templates t
+       LEFT JOIN districts d ON t.district_id = d.id
+       ORDER BY t.recipient_type, t.district_id IS NOT NULL, t.violation_type IS NOT NULL, t.violation_type, t.language`
+    );
 
-    if (!file) {
-      return res.status(400).json({ error: 'No file uploaded' });
+    res.json({
+      templates,
+      placeholders: TEMPLATE_PLACEHOLDERS,
+      violationTypes: Object.keys(VIOLATION_TYPES),
+      languages: TEMPLATE_LANGUAGES,
+      recipientTypes: RECIPIENT_TYPES
+    });
+  } catch (error) {
+    console.error('Admin get templates error:', error);
+    res.status(500).json({ error: 'Failed to get templates' });
+  }
+});
+
+function validateTemplateInput({ recipientType, violationType, districtId, language, subject, body }) {
+  if (!subject || !body) return 'subject and body required';
+  if (recipientType && !RECIPIENT_TYPES.includes(recipientType)) return 'Invalid recipient type';
+  if (recipientType === 'dpa' && districtId) return 'Templates for the supervisory authority cannot be district-specific';
+  if (language && !TEMPLATE_LANGUAGES.includes(language)) return 'Invalid language';
+  if (violationType && !VIOLATION_TYPES[violationType]) return 'Invalid violation type';
+  if (districtId && !Number.isInteger(Number(districtId))) return 'Invalid districtId';
+  return null;
+}
+
+app.post('/api/admin/email-templates', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const validationError = validateTemplateInput(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
     }
 
-    // Verify report ownership
-    const [reports] = await db.execute(
-      'SELECT * FROM reports WHERE id = ? AND user_id = ?',
-      [reportId, req.user.id]
+    const { recipientType, violationType, districtId, language, subject, body } = req.body;
+
+    const [result] = await db.execute(
+      'INSERT INTO email_templates (recipient_type, violation_type, district_id, language, subject, body, updated_by_user_id) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      [recipientType || 'district', violationType || null, districtId || null, language || 'de', subject, body, req.user.id]
     );
 
-    if (!reports[0]) {
-      await fs.unlink(file.path);
-      return res.status(404).json({ error: 'Report not found' });
+    res.json({ success: true, id: result.insertId });
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ error: 'Template for this combination already exists' });
+    }
+    if (error.code === 'ER_NO_REFERENCED_ROW_2') {
+      return res.status(400).json({ error: 'District not found' });
     }
+    console.error('Admin create template error:', error);
+    res.status(500).json({ error: 'Failed to create template' });
+  }
+});
 
-    const report = reports[0];
+app.put('/api/admin/email-templates/:id', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const validationError = validateTemplateInput(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
 
-    // Determine if it's a photo or video
-    const isVideo = file.mimetype.startsWith('video/');
-    const mediaType = isVideo ? 'video' : 'photo';
+    const { recipientType, violationType, districtId, language, subject, body } = req.body;
 
-    // Extract EXIF (only for photos)
-    let lat = null, lng = null, takenAt = null;
-    if (!isVideo) {
-      try {
-        const exif = await exifr.parse(file.path, { gps: true });
-        lat = exif?.latitude || null;
-        lng = exif?.longitude || null;
-        takenAt = exif?.DateTimeOriginal || null;
-      } catch (exifError) {
-        console.log('EXIF extraction failed:', exifError.message);
-      }
+    const [result] = await db.execute(
+      'UPDATE email_templates SET recipient_type = ?, violation_type = ?, district_id = ?, language = ?, subject = ?, body = ?, updated_by_user_id = ? WHERE id = ?',
+      [recipientType || 'district', violationType || null, districtId || null, language || 'de', subject, body, req.user.id, req.params.id]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Template not found' });
     }
 
-    // Move file to permanent location
-    const photoDir = path.join('uploads', report.case_number);
-    await fs.mkdir(photoDir, { recursive: true });
-    const newPath = path.join(photoDir, `${Date.now()}-${file.originalname}`);
-    await fs.rename(file.path, newPath);
+    res.json({ success: true });
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ error: 'Template for this combination already exists' });
+    }
+    console.error('Admin update template error:', error);
+    res.status(500).json({ error: 'Failed to update template' });
+  }
+});
 
-    // Save to DB
-    await db.execute(
-      'INSERT INTO photos (report_id, filename, filepath, mime_type, media_type, file_size, lat, lng, taken_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
-      [reportId, file.originalname, newPath, file.mimetype, mediaType, file.size, lat, lng, takenAt]
+app.delete('/api/admin/email-templates/:id', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const [templates] = await db.execute(
+      'SELECT * FROM email_templates WHERE id = ?',
+      [req.params.id]
     );
 
-    // Prepare response data
-    const responseData = {
-      success: true,
-      photo: {
-        lat,
-        lng,
-        mediaType
-      }
-    };
+    if (!templates[0]) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
 
-    // Update report location if this is first photo with GPS
-    if (lat && lng && !report.location_lat) {
-      // Geocode
-      const location = await geocodeLocation(lat, lng);
+    if (!templates[0].violation_type && !templates[0].district_id) {
+      return res.status(400).json({ error: 'Default templates can be edited but not deleted' });
+    }
 
-      // Get district from weg.li
-      let districtId = null;
-      if (location?.zip) {
-        const district = await getDistrictByZip(location.zip);
-        if (district) {
-          districtId = district.id;
-          console.log(`✅ District assigned: ${district.name} → ${district.email}`);
-        }
-      }
+    await db.execute('DELETE FROM email_templates WHERE id = ?', [req.params.id]);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Admin delete template error:', error);
+    res.status(500).json({ error: 'Failed to delete template' });
+  }
+});
 
-      await db.execute(
-        'UPDATE reports SET location_lat = ?, location_lng = ?, location_address = ?, location_zip = ?, district_id = ? WHERE id = ?',
-        [lat, lng, location?.address || null, location?.zip || null, districtId, reportId]
-      );
+// Renders a saved template, an unsaved draft (subject/body) or the automatic selection against a real report
+app.post('/api/admin/email-templates/preview', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const { reportId, caseNumber, templateId, subject, body, language, recipientType } = req.body;
 
-      // Add location to response
-      responseData.location = {
-        address: location?.address || null,
-        zip: location?.zip || null,
-        lat,
-        lng
-      };
+    const [reports] = await db.execute(
+      `SELECT r.*, d.name as district_name, d.language as district_language
+       FROM reports r LEFT JOIN districts d ON r.district_id = d.id
+       WHERE r.id = ? OR r.case_number = ?`,
+      [reportId || null, caseNumber || null]
+    );
 
-      // 🚨 PROXIMITY CHECK (50m)
-      const [nearby] = await db.execute(
-        `SELECT id, case_number, status,
-                ST_Distance_Sphere(
-                  POINT(location_lng, location_lat),
-                  POINT(?, ?)
-                ) as distance
-         FROM reports
-         WHERE location_lat IS NOT NULL
-           AND id != ?
-         HAVING distance <= 50
-         ORDER BY distance
-         LIMIT 10`,
-        [lng, lat, reportId]
-      );
+    if (!reports[0]) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
 
-      if (nearby.length > 0) {
-        responseData.proximityWarning = {
-          found: true,
-          count: nearby.length,
-          reports: nearby.map(r => ({
-            caseNumber: r.case_number,
-            distance: Math.round(r.distance),
-            status: r.status
-          }))
-        };
+    const report = reports[0];
+    let template = null;
+
+    if (templateId) {
+      const [templates] = await db.execute('SELECT * FROM email_templates WHERE id = ?', [templateId]);
+      if (!templates[0]) {
+        return res.status(404).json({ error: 'Template not found' });
       }
-    } else if (lat && lng) {
-      // Photo has GPS but report already has location
-      // Geocode this photo's location
-      const location = await geocodeLocation(lat, lng);
-      responseData.location = {
-        address: location?.address || null,
-        zip: location?.zip || null,
-        lat,
-        lng
-      };
+      template = templates[0];
+    } else if (subject || body) {
+      template = { id: null, language: language || 'de', subject: subject || '', body: body || '' };
     }
 
-    res.json(responseData);
+    const effectiveRecipientType = template?.recipient_type || recipientType || 'district';
+
+    const [photos] = await db.execute(
+      'SELECT COUNT(*) as count FROM photos WHERE report_id = ?',
+      [report.id]
+    );
+
+    const email = await renderEmailForReport(report, {
+      template,
+      recipientType: effectiveRecipientType,
+      recipient: effectiveRecipientType === 'dpa' ? getSupervisoryAuthority(report.location_state) : null,
+      language: language || report.district_language || 'de',
+      district: { name: report.district_name },
+      photoCount: photos[0].count,
+      escalation: effectiveRecipientType === 'dpa' && report.status !== 'draft',
+      portalLink: AUTHORITY_PORTAL_PREVIEW_LINK
+    });
+
+    res.json({ ...email, caseNumber: report.case_number });
+  } catch (error) {
+    console.error('Admin template preview error:', error);
+    res.status(500).json({ error: 'Failed to render preview' });
+  }
+});
+
+// ---- DISTRICT DIRECTORY ----
+app.get('/api/admin/districts', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const { q } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    const offset = parseInt(req.query.offset) || 0;
+
+    const where = q ? 'WHERE d.zip LIKE ? OR d.name LIKE ? OR d.email LIKE ?' : '';
+    const params = q ? [`${q}%`, `%${q}%`, `%${q}%`] : [];
+
+    const [districts] = await db.query(
+      `SELECT d.*, (SELECT COUNT(*) FROM reports WHERE district_id = d.id) as report_count
+       FROM districts d
+       ${where}
+       ORDER BY d.zip, d.name
+       LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+
+    res.json({ districts, limit, offset, cacheDays: CONFIG.districts.cacheDays });
   } catch (error) {
-    console.error('Photo upload error:', error);
-    if (req.file) {
-      await fs.unlink(req.file.path).catch(() => {});
-    }
-    res.status(500).json({ error: 'Failed to upload photo' });
+    console.error('Admin get districts error:', error);
+    res.status(500).json({ error: 'Failed to get districts' });
   }
 });
 
-// ---- DELETE PHOTO ----
-app.delete('/api/photos/:id', authMiddleware, async (req, res) => {
+// Manually created entries are overrides: the weg.li sync leaves them alone
+app.post('/api/admin/districts', authMiddleware, requireRole('admin'), async (req, res) => {
   try {
-    const photoId = req.params.id;
+    const { error, district } = validateDistrictInput(req.body);
 
-    // Get photo details and verify ownership through report
-    const [photos] = await db.execute(
-      `SELECT p.*, r.user_id, r.status, r.case_number
-       FROM photos p
-       JOIN reports r ON p.report_id = r.id
-       WHERE p.id = ?`,
-      [photoId]
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const [result] = await db.execute(
+      `INSERT INTO districts (zip, name, email, language, latitude, longitude, personal_email, source, is_override)
+       VALUES (?, ?, ?, ?, ?, ?, ?, 'manual', TRUE)`,
+      [district.zip, district.name, district.email, district.language, district.latitude, district.longitude, district.personalEmail]
     );
 
-    if (!photos[0]) {
-      return res.status(404).json({ error: 'Photo not found' });
+    res.json({ success: true, id: result.insertId });
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ error: 'District already exists for this zip' });
     }
+    console.error('Admin create district error:', error);
+    res.status(500).json({ error: 'Failed to create district' });
+  }
+});
 
-    const photo = photos[0];
+app.put('/api/admin/districts/:id', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const { error, district } = validateDistrictInput(req.body);
 
-    // Verify ownership
-    if (photo.user_id !== req.user.id) {
-      return res.status(403).json({ error: 'Not authorized' });
+    if (error) {
+      return res.status(400).json({ error });
     }
 
-    // Only allow deletion for drafts
-    if (photo.status !== 'draft') {
-      return res.status(400).json({ error: 'Can only delete photos from draft reports' });
+    const [result] = await db.execute(
+      `UPDATE districts SET zip = ?, name = ?, email = ?, language = ?, latitude = ?, longitude = ?, personal_email = ?, is_override = TRUE
+       WHERE id = ?`,
+      [district.zip, district.name, district.email, district.language, district.latitude, district.longitude, district.personalEmail, req.params.id]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'District not found' });
     }
 
-    // Delete physical file
-    try {
-      await fs.unlink(photo.filepath);
-      console.log(`✅ Deleted file: ${photo.filepath}`);
-    } catch (fileError) {
-      console.error(`⚠️ Failed to delete file ${photo.filepath}:`, fileError.message);
-      // Continue anyway - DB record should be deleted even if file is missing
+    res.json({ success: true });
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ error: 'District already exists for this zip' });
     }
+    console.error('Admin update district error:', error);
+    res.status(500).json({ error: 'Failed to update district' });
+  }
+});
 
-    // Delete from database
-    await db.execute('DELETE FROM photos WHERE id = ?', [photoId]);
+app.delete('/api/admin/districts/:id', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    // Reports keep their data; district_id is set to NULL by the foreign key
+    const [result] = await db.execute('DELETE FROM districts WHERE id = ?', [req.params.id]);
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'District not found' });
+    }
 
-    console.log(`✅ Photo ${photoId} deleted from report ${photo.case_number}`);
     res.json({ success: true });
   } catch (error) {
-    console.error('Photo deletion error:', error);
-    res.status(500).json({ error: 'Failed to delete photo' });
+    console.error('Admin delete district error:', error);
+    res.status(500).json({ error: 'Failed to delete district' });
   }
 });
 
-// ---- SUBMIT REPORT ----
-app.post('/api/reports/:id/submit', authMiddleware, async (req, res) => {
+// Drops the override and fetches the entry from weg.li again
+app.post('/api/admin/districts/:id/resync', authMiddleware, requireRole('admin'), async (req, res) => {
   try {
-    // Get report
-    const [reports] = await db.execute(
-      'SELECT * FROM reports WHERE id = ? AND user_id = ?',
-      [req.params.id, req.user.id]
-    );
-
-    if (!reports[0]) {
-      return res.status(404).json({ error: 'Report not found' });
+    if (!CONFIG.wegliApiKey) {
+      return res.status(400).json({ error: 'No weg.li API key configured' });
     }
 
-    const report = reports[0];
+    const [districts] = await db.execute('SELECT * FROM districts WHERE id = ?', [req.params.id]);
 
-    if (report.status !== 'draft') {
-      return res.status(400).json({ error: 'Report already submitted' });
+    if (!districts[0]) {
+      return res.status(404).json({ error: 'District not found' });
     }
 
-    // Get photos
-    const [photos] = await db.execute(
-      'SELECT * FROM photos WHERE report_id = ?',
-      [req.params.id]
+    await db.execute(
+      'UPDATE districts SET source = "wegli", is_override = FALSE, synced_at = NULL WHERE id = ?',
+      [districts[0].id]
     );
+    await syncWegliDistrict(districts[0].zip, [{ ...districts[0], source: 'wegli', is_override: false }]);
 
-    if (photos.length === 0) {
-      return res.status(400).json({ error: 'Please upload at least one photo' });
+    const [updated] = await db.execute('SELECT * FROM districts WHERE id = ?', [districts[0].id]);
+    res.json({ success: true, district: updated[0] });
+  } catch (error) {
+    console.error('Admin resync district error:', error);
+    res.status(500).json({ error: 'Failed to resync district' });
+  }
+});
+
+app.get('/api/admin/districts/export', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const [districts] = await db.execute(`SELECT ${DISTRICT_CSV_COLUMNS.join(', ')} FROM districts ORDER BY zip, name`);
+
+    const lines = [
+      DISTRICT_CSV_COLUMNS.join(','),
+      ...districts.map(district => DISTRICT_CSV_COLUMNS.map(column => toCsvValue(
+        column === 'personal_email' ? (district[column] ? 1 : 0) : district[column]
+      )).join(','))
+    ];
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', 'attachment; filename="districts.csv"');
+    res.send(lines.join('\n') + '\n');
+  } catch (error) {
+    console.error('Admin export districts error:', error);
+    res.status(500).json({ error: 'Failed to export districts' });
+  }
+});
+
+// CSV body (text/csv) with a header line; rows are matched on zip + name and become overrides
+app.post('/api/admin/districts/import', authMiddleware, requireRole('admin'), express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }), async (req, res) => {
+  try {
+    if (typeof req.body !== 'string' || !req.body.trim()) {
+      return res.status(400).json({ error: 'CSV body required' });
     }
 
-    // Get district email
-    let districtEmail = null;
-    let districtName = null;
-    if (report.district_id) {
-      const [districts] = await db.execute(
-        'SELECT name, email FROM districts WHERE id = ?',
-        [report.district_id]
-      );
-      if (districts[0] && districts[0].email) {
-        districtEmail = districts[0].email;
-        districtName = districts[0].name;
+    const [header, ...rows] = parseCsv(req.body);
+    const columns = header.map(column => column.trim().toLowerCase());
+
+    if (!columns.includes('zip') || !columns.includes('name')) {
+      return res.status(400).json({ error: 'CSV needs at least the columns zip and name' });
+    }
+
+    let created = 0;
+    let updated = 0;
+    const errors = [];
+
+    for (const [index, row] of rows.entries()) {
+      const input = Object.fromEntries(columns.map((column, i) => [column, (row[i] || '').trim()]));
+      const { error, district } = validateDistrictInput(input);
+
+      if (error) {
+        errors.push({ line: index + 2, error });
+        continue;
       }
+
+      const [result] = await db.execute(
+        `INSERT INTO districts (zip, name, email, language, latitude, longitude, personal_email, source, is_override)
+         VALUES (?, ?, ?, ?, ?, ?, ?, 'import', TRUE)
+         ON DUPLICATE KEY UPDATE email = VALUES(email), language = VALUES(language), latitude = VALUES(latitude),
+           longitude = VALUES(longitude), personal_email = VALUES(personal_email), source = 'import', is_override = TRUE`,
+        [district.zip, district.name, district.email, district.language, district.latitude, district.longitude, district.personalEmail]
+      );
+
+      if (result.affectedRows === 1) created++;
+      else updated++;
     }
 
-    // Fallback if no district found
-    if (!districtEmail) {
-      return res.status(400).json({
-        error: 'No district found',
-        message: 'Kein zuständiges Ordnungsamt gefunden. Bitte Standortinformationen überprüfen.'
-      });
+    console.log(`✅ District import: ${created} created, ${updated} updated, ${errors.length} errors`);
+    res.json({ success: true, created, updated, errors });
+  } catch (error) {
+    console.error('Admin import districts error:', error);
+    res.status(500).json({ error: 'Failed to import districts' });
+  }
+});
+
+app.put('/api/admin/districts/:id/language', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const { language } = req.body;
+
+    if (!TEMPLATE_LANGUAGES.includes(language)) {
+      return res.status(400).json({ error: 'Invalid language' });
     }
 
-    // Generate email address
-    const emailAddress = getCaseEmailAddress(report.case_number);
+    const [result] = await db.execute(
+      'UPDATE districts SET language = ? WHERE id = ?',
+      [language, req.params.id]
+    );
 
-    // Send email
-    try {
-      const transporter = nodemailer.createTransport(CONFIG.smtp);
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'District not found' });
+    }
 
-      const attachments = photos.map(photo => ({
-        filename: photo.filename,
-        path: photo.filepath
-      }));
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Admin district language error:', error);
+    res.status(500).json({ error: 'Failed to update district' });
+  }
+});
 
-      await transporter.sendMail({
-        from: `"RechtUndOrdnung" <${emailAddress}>`,
-        to: districtEmail,
-        replyTo: emailAddress,
-        subject: `DSGVO-Verstoß - Aktenzeichen ${report.case_number}`,
-        text: `
-Sehr geehrte Damen und Herren,
+app.get('/api/admin/users', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const [users] = await db.execute(
+      `SELECT u.id, u.email, u.name, u.role, u.disabled_at, u.email_verified_at, u.locked_until, u.created_at,
+              (SELECT COUNT(*) FROM reports WHERE user_id = u.id) as report_count
+       FROM users u
+       ORDER BY u.created_at DESC`
+    );
 
-hiermit melde ich einen DSGVO-Verstoß im Bereich Videoüberwachung.
+    res.json({ users });
+  } catch (error) {
+    console.error('Admin get users error:', error);
+    res.status(500).json({ error: 'Failed to get users' });
+  }
+});
 
-Aktenzeichen: ${report.case_number}
-Standort: ${report.location_address || 'Keine Adresse verfügbar'}
-Verstoß: ${report.violation_type || 'Nicht angegeben'}
+app.put('/api/admin/users/:id', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const { role, disabled } = req.body;
 
-${report.notes || ''}
+    if (String(req.params.id) === String(req.user.id)) {
+      return res.status(400).json({ error: 'Cannot modify your own account' });
+    }
 
-Fotos im Anhang.
+    if (role !== undefined && !USER_ROLES.includes(role)) {
+      return res.status(400).json({ error: 'Invalid role' });
+    }
 
-Mit freundlichen Grüßen
-Diese E-Mail wurde automatisch generiert von rechtundordnung.de
-        `.trim(),
-        attachments
-      });
+    const [users] = await db.execute(
+      'SELECT id FROM users WHERE id = ?',
+      [req.params.id]
+    );
 
-      // Update report
-      await db.execute(
-        'UPDATE reports SET status = "submitted", submitted_at = NOW() WHERE id = ?',
-        [req.params.id]
-      );
+    if (!users[0]) {
+      return res.status(404).json({ error: 'User not found' });
+    }
 
-      // Log email
+    if (role !== undefined) {
+      await db.execute('UPDATE users SET role = ? WHERE id = ?', [role, req.params.id]);
+    }
+
+    if (disabled !== undefined) {
       await db.execute(
-        'INSERT INTO email_logs (report_id, direction, from_email, to_email, subject, body) VALUES (?, "outbound", ?, ?, ?, ?)',
-        [req.params.id, emailAddress, 'ordnungsamt@example.com', `DSGVO-Verstoß - ${report.case_number}`, report.notes || '']
+        'UPDATE users SET disabled_at = ? WHERE id = ?',
+        [disabled ? new Date() : null, req.params.id]
       );
 
-      res.json({ success: true, message: 'Report submitted successfully' });
-    } catch (emailError) {
-      console.error('Email send error:', emailError);
-      res.status(500).json({ error: 'Failed to send email' });
+      if (disabled) {
+        await revokeUserSessions(req.params.id);
+      }
     }
+
+    res.json({ success: true });
   } catch (error) {
-    console.error('Submit report error:', error);
-    res.status(500).json({ error: 'Failed to submit report' });
+    console.error('Admin update user error:', error);
+    res.status(500).json({ error: 'Failed to update user' });
   }
 });
 
 // ---- PUBLIC API ----
+app.get('/api/supervisory-authorities', (req, res) => {
+  res.json(Object.keys(STATE_DPAS).map(getSupervisoryAuthority));
+});
+
+// Query: status (comma-separated), violationType, zip, districtId, from, to, bbox, q, cursor, limit
 app.get('/api/public/reports', async (req, res) => {
   try {
-    const [reports] = await db.execute(
-      `SELECT r.case_number, r.violation_type, r.notes, r.location_address, r.location_zip,
-              r.location_lat, r.location_lng, r.status, r.submitted_at, r.created_at,
-              r.hide_username,
-              CASE WHEN r.hide_username = TRUE THEN NULL ELSE u.name END as user_name,
-              CASE WHEN r.hide_username = TRUE THEN NULL ELSE u.email END as user_email,
+    const filter = buildPublicReportFilter(req.query);
+
+    if (filter.error) {
+      return res.status(400).json({ error: filter.error });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const conditions = [...filter.conditions];
+    const params = [...filter.params];
+
+    if (req.query.cursor) {
+      const cursor = decodeCursor(req.query.cursor);
+      if (!cursor) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+      conditions.push(`(${PUBLIC_SORT_KEY} < ? OR (${PUBLIC_SORT_KEY} = ? AND r.id < ?))`);
+      params.push(cursor.date, cursor.date, cursor.id);
+    }
+
+    const [reports] = await db.query(
+      `SELECT r.id, r.case_number, r.violation_type, r.location_address, r.location_zip,
+              r.location_lat, r.location_lng, r.status, r.submitted_at, r.created_at, r.camera_id,
+              r.hide_username, ${PUBLIC_SORT_KEY} as sort_date,
+              ${PUBLIC_REPORTER_COLUMNS},
               (SELECT COUNT(*) FROM photos WHERE report_id = r.id) as photo_count
        FROM reports r
        LEFT JOIN users u ON r.user_id = u.id
-       WHERE r.is_public = TRUE AND r.status != 'draft'
-       ORDER BY r.submitted_at DESC
-       LIMIT 100`
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY sort_date DESC, r.id DESC
+       LIMIT ?`,
+      [...params, limit + 1]
     );
 
-    res.json({ reports });
+    const hasMore = reports.length > limit;
+    const page = reports.slice(0, limit);
+
+    // Totals per status for the whole filter (not just this page); only on the first page
+    let counts = null;
+    if (!req.query.cursor) {
+      const [rows] = await db.query(
+        `SELECT r.status, COUNT(*) as count FROM reports r WHERE ${filter.conditions.join(' AND ')} GROUP BY r.status`,
+        filter.params
+      );
+      counts = Object.fromEntries(rows.map(row => [row.status, row.count]));
+    }
+
+    res.json({
+      reports: page.map(({ id, sort_date, ...report }) => report),
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null,
+      limit,
+      counts
+    });
   } catch (error) {
     console.error('Get public reports error:', error);
     res.status(500).json({ error: 'Failed to get public reports' });
   }
 });
 
+// Open data: same filters as /api/public/reports, at most MAX_EXPORT_ROWS reports
+app.get('/api/public/reports.geojson', async (req, res) => {
+  try {
+    const filter = buildPublicReportFilter(req.query);
+
+    if (filter.error) {
+      return res.status(400).json({ error: filter.error });
+    }
+
+    const rows = await getPublicExportRows(filter);
+
+    res.setHeader('Content-Type', 'application/geo+json; charset=utf-8');
+    res.send(JSON.stringify({
+      type: 'FeatureCollection',
+      features: rows.map(({ location_lat, location_lng, ...row }) => ({
+        type: 'Feature',
+        geometry: location_lat === null || location_lng === null
+          ? null
+          : { type: 'Point', coordinates: [location_lng, location_lat] },
+        properties: {
+          ...row,
+          submitted_at: formatExportDate(row.submitted_at),
+          status_changed_at: formatExportDate(row.status_changed_at),
+          url: getPublicReportUrl(row.case_number)
+        }
+      }))
+    }));
+  } catch (error) {
+    console.error('Export GeoJSON error:', error);
+    res.status(500).json({ error: 'Failed to export reports' });
+  }
+});
+
+app.get('/api/public/reports.csv', async (req, res) => {
+  try {
+    const filter = buildPublicReportFilter(req.query);
+
+    if (filter.error) {
+      return res.status(400).json({ error: filter.error });
+    }
+
+    const rows = await getPublicExportRows(filter);
+
+    const lines = [
+      EXPORT_COLUMNS.join(','),
+      ...rows.map(row => EXPORT_COLUMNS.map(column => toCsvValue(
+        column.endsWith('_at') ? formatExportDate(row[column]) : row[column]
+      )).join(','))
+    ];
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', 'attachment; filename="reports.csv"');
+    res.send(lines.join('\n') + '\n');
+  } catch (error) {
+    console.error('Export CSV error:', error);
+    res.status(500).json({ error: 'Failed to export reports' });
+  }
+});
+
+// Atom feed of newly submitted and resolved reports; an entry is updated when the status changes
+app.get('/api/public/feed.atom', async (req, res) => {
+  try {
+    const filter = buildPublicReportFilter(req.query);
+
+    if (filter.error) {
+      return res.status(400).json({ error: filter.error });
+    }
+
+    if (!req.query.status) {
+      filter.conditions.push('r.status IN (?)');
+      filter.params.push(FEED_STATUSES);
+    }
+
+    const rows = await getPublicExportRows(filter, {
+      orderBy: 'COALESCE(status_changed_at, r.submitted_at) DESC, r.id DESC',
+      limit: FEED_SIZE
+    });
+
+    const query = new URLSearchParams(req.query).toString();
+    const selfUrl = `${CONFIG.publicUrl}/api/public/feed.atom${query ? `?${query}` : ''}`;
+    const updatedOf = row => formatExportDate(row.status_changed_at || row.submitted_at);
+
+    const entries = rows.map(row => {
+      const summary = [
+        row.violation_type || 'Verstoß nicht angegeben',
+        row.location_address,
+        row.district ? `Zuständig: ${row.district}` : null
+      ].filter(Boolean).join(' – ');
+
+      return `  <entry>
+    <id>${escapeXml(getPublicReportUrl(row.case_number))}</id>
+    <title>${escapeXml(`${STATUS_LABELS[row.status]}: ${row.case_number}`)}</title>
+    <link href="${escapeXml(getPublicReportUrl(row.case_number))}"/>
+    <published>${formatExportDate(row.submitted_at)}</published>
+    <updated>${updatedOf(row)}</updated>
+    <category term="${escapeXml(row.status)}" label="${escapeXml(STATUS_LABELS[row.status])}"/>
+    ${row.reporter ? `<author><name>${escapeXml(row.reporter)}</name></author>` : '<author><name>Anonym</name></author>'}
+    <summary>${escapeXml(summary)}</summary>
+  </entry>`;
+    });
+
+    res.setHeader('Content-Type', 'application/atom+xml; charset=utf-8');
+    res.send(`<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${escapeXml(selfUrl)}</id>
+  <title>Recht und Ordnung – Öffentliche Anzeigen</title>
+  <link rel="self" href="${escapeXml(selfUrl)}"/>
+  <link href="${escapeXml(`${CONFIG.publicUrl}/public.html`)}"/>
+  <updated>${rows[0] ? updatedOf(rows[0]) : new Date().toISOString()}</updated>
+${entries.join('\n')}
+</feed>
+`);
+  } catch (error) {
+    console.error('Export feed error:', error);
+    res.status(500).json({ error: 'Failed to export feed' });
+  }
+});
+
+// Aggregates over all public reports matching the filters (same as /api/public/reports)
+app.get('/api/public/stats', async (req, res) => {
+  try {
+    const filter = buildPublicReportFilter(req.query);
+
+    if (filter.error) {
+      return res.status(400).json({ error: filter.error });
+    }
+
+    const unfiltered = Object.keys(req.query).length === 0;
+    if (unfiltered && publicStatsCache && publicStatsCache.expiresAt > Date.now()) {
+      return res.json(publicStatsCache.stats);
+    }
+
+    const stats = await getPublicStats(filter);
+
+    if (unfiltered) {
+      publicStatsCache = { stats, expiresAt: Date.now() + PUBLIC_STATS_CACHE_TTL };
+    }
+
+    res.json(stats);
+  } catch (error) {
+    console.error('Get public stats error:', error);
+    res.status(500).json({ error: 'Failed to get statistics' });
+  }
+});
+
 app.get('/api/public/reports/:caseNumber', async (req, res) => {
   try {
     const [reports] = await db.execute(
-      `SELECT r.id, r.case_number, r.violation_type, r.notes, r.location_address,
+      `SELECT r.id, r.case_number, r.violation_type, r.location_address,
               r.location_zip, r.status, r.submitted_at, r.hide_username,
-              CASE WHEN r.hide_username = TRUE THEN NULL ELSE u.name END as user_name,
-              CASE WHEN r.hide_username = TRUE THEN NULL ELSE u.email END as user_email
+              ${PUBLIC_REPORTER_COLUMNS}
        FROM reports r
        LEFT JOIN users u ON r.user_id = u.id
-       WHERE r.case_number = ? AND r.is_public = TRUE`,
+       WHERE r.case_number = ? AND ${PUBLIC_REPORT_CONDITION}`,
       [req.params.caseNumber]
     );
 
@@ -927,13 +7033,20 @@ app.get('/api/public/reports/:caseNumber', async (req, res) => {
     }
 
     const [photos] = await db.execute(
-      'SELECT id, filename, filepath, media_type, mime_type FROM photos WHERE report_id = ?',
+      // Video frames can't be redacted automatically, so only (blurred) photos are published
+      'SELECT id, media_type, public_filepath FROM photos WHERE report_id = ? AND media_type = "photo" AND public_filepath IS NOT NULL',
       [reports[0].id]
     );
 
+    const { id, ...report } = reports[0];
+
     res.json({
-      report: reports[0],
-      photos
+      report,
+      photos: photos.map(photo => ({
+        id: photo.id,
+        media_type: photo.media_type,
+        url: getMediaUrl(photo)
+      }))
     });
   } catch (error) {
     console.error('Get public report error:', error);
@@ -941,9 +7054,127 @@ app.get('/api/public/reports/:caseNumber', async (req, res) => {
   }
 });
 
+// Owner names are not published: the operator may be a private person.
+// Same filters as /api/public/reports (bbox on the camera position, status = current camera status)
+const MAX_PUBLIC_CAMERAS = 2000;
+
+app.get('/api/public/cameras', async (req, res) => {
+  try {
+    const filter = buildPublicReportFilter(req.query, { location: 'c', status: false });
+
+    if (filter.error) {
+      return res.status(400).json({ error: filter.error });
+    }
+
+    const statuses = req.query.status ? String(req.query.status).split(',') : null;
+    if (statuses && statuses.some(s => !PUBLIC_STATUSES.includes(s))) {
+      return res.status(400).json({ error: 'Invalid status' });
+    }
+
+    const [cameras] = await db.query(
+      `SELECT c.id, c.location_lat, c.location_lng, c.location_address, c.location_zip, c.description,
+              ${CAMERA_STATUS_SQL} as status,
+              COUNT(r.id) as report_count,
+              MAX(r.submitted_at) as last_reported_at
+       FROM cameras c
+       JOIN reports r ON r.camera_id = c.id
+       WHERE ${filter.conditions.join(' AND ')}
+       GROUP BY c.id
+       ${statuses ? 'HAVING status IN (?)' : ''}
+       ORDER BY last_reported_at DESC
+       LIMIT ?`,
+      [...filter.params, ...(statuses ? [statuses] : []), MAX_PUBLIC_CAMERAS + 1]
+    );
+
+    res.json({
+      cameras: cameras.slice(0, MAX_PUBLIC_CAMERAS),
+      // The map should zoom in further to see everything
+      truncated: cameras.length > MAX_PUBLIC_CAMERAS
+    });
+  } catch (error) {
+    console.error('Get public cameras error:', error);
+    res.status(500).json({ error: 'Failed to get cameras' });
+  }
+});
+
+// Opt-in profile: pseudonym and the public reports that show it (hidden-name reports are never linked)
+app.get('/api/public/profiles/:profileId', async (req, res) => {
+  try {
+    const [users] = await db.execute(
+      `SELECT id, display_name, public_id, created_at
+       FROM users
+       WHERE public_id = ? AND public_profile = TRUE AND disabled_at IS NULL`,
+      [req.params.profileId]
+    );
+
+    if (!users[0]) {
+      return res.status(404).json({ error: 'Profile not found' });
+    }
+
+    const [reports] = await db.execute(
+      `SELECT r.case_number, r.violation_type, r.location_address, r.location_zip, r.status,
+              r.submitted_at, d.name as district_name,
+              (SELECT COUNT(*) FROM photos WHERE report_id = r.id AND media_type = 'photo' AND public_filepath IS NOT NULL) as photo_count
+       FROM reports r
+       LEFT JOIN districts d ON r.district_id = d.id
+       WHERE r.user_id = ? AND r.hide_username = FALSE AND ${PUBLIC_REPORT_CONDITION}
+       ORDER BY ${PUBLIC_SORT_KEY} DESC`,
+      [users[0].id]
+    );
+
+    const byStatus = Object.fromEntries(PUBLIC_STATUSES.map(status => [status, 0]));
+    reports.forEach(report => byStatus[report.status]++);
+
+    res.json({
+      profile: {
+        displayName: users[0].display_name,
+        profileId: users[0].public_id,
+        // Month only: the exact registration date isn't anybody's business
+        memberSince: toMonth(users[0].created_at),
+        reportCount: reports.length,
+        byStatus
+      },
+      reports
+    });
+  } catch (error) {
+    console.error('Get public profile error:', error);
+    res.status(500).json({ error: 'Failed to get profile' });
+  }
+});
+
+app.get('/api/public/cameras/:id', async (req, res) => {
+  try {
+    const [cameras] = await db.execute(
+      `SELECT c.id, c.location_lat, c.location_lng, c.location_address, c.location_zip, c.description,
+              ${CAMERA_STATUS_SQL} as status
+       FROM cameras c WHERE c.id = ?`,
+      [req.params.id]
+    );
+
+    const [reports] = await db.execute(
+      `SELECT case_number, violation_type, status, submitted_at
+       FROM reports
+       WHERE camera_id = ? AND is_public = TRUE AND is_hidden = FALSE AND status != 'draft'
+       ORDER BY submitted_at DESC`,
+      [req.params.id]
+    );
+
+    if (!cameras[0] || reports.length === 0) {
+      return res.status(404).json({ error: 'Camera not found' });
+    }
+
+    res.json({ camera: cameras[0], reports });
+  } catch (error) {
+    console.error('Get public camera error:', error);
+    res.status(500).json({ error: 'Failed to get camera' });
+  }
+});
+
 // ============ START SERVER ============
 const PORT = process.env.PORT || 3000;
 
+checkProductionConfig();
+
 connectDB().then(() => {
   app.listen(PORT, '0.0.0.0', () => {
     console.log(`
@@ -953,4 +7184,13 @@ connectDB().then(() => {
 ╚═══════════════════════════════════════════════╝
     `);
   });
+
+  startOutboxWorker();
+  startInboundPoller();
+  startDeadlineScheduler();
+  startAccountDeletionScheduler();
+  startNotificationScheduler();
+  startWebhookWorker();
+  startMediaWorker();
+  backfillCameras();
 });